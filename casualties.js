@@ -0,0 +1,161 @@
+// Casualty Estimation by Hazard and Distance
+import { calculateAtmosphericEffects, solveThresholdRadii } from './impact-physics.js';
+import { estimatePopulationInZone, populationDensityAt } from './population.js';
+
+// Constants
+const JOULES_PER_MEGATON = 4.184e15;
+const DISTANCE_RINGS = 48;  // Log-spaced rings between ground zero and the outermost injury distance
+const INNER_RING_KM = 0.1;  // Innermost ring edge when there is no crater
+
+// Vulnerability curves, each a log-logistic P(x) = 1 / (1 + (x50 / x)^k): x50 is the hazard level
+// that kills (or injures) half the people exposed to it, k how sharply the probability rises.
+// Blast: peak overpressure in kPa (Glasstone & Dolan 1977: ~1% killed at 1 psi, ~50% at 5 psi where
+// homes collapse, nearly all at 20 psi). Burns: fluence in J/m² for a 1 Mt event, scaled by E^(1/6)
+// like the burn thresholds in impact-physics.js. Tsunami: flow depth on land in meters.
+const VULNERABILITY = {
+    overpressure: { fatality: { x50: 35, k: 3.3 }, injury: { x50: 14, k: 3 } },
+    thermal: { fatality: { x50: 6e5, k: 4 }, injury: { x50: 2.5e5, k: 4 } },
+    tsunami: { fatality: { x50: 4, k: 2.5 }, injury: { x50: 1.5, k: 2.5 } }
+};
+
+// Hazard levels below which the curves are negligible: they bound the outermost ring
+const NEGLIGIBLE_LEVELS = [
+    { id: 'overpressureInjury', kind: 'overpressure', value: 3 },
+    { id: 'thermalInjury', kind: 'thermal', value: 1e5 }
+];
+
+// Tsunami inundation reaches inland roughly in proportion to run-up
+const INUNDATION_KM_PER_METER = 0.3;
+const MIN_RUN_UP = 0.5;  // Below this run-up (m) the wave stays on the beach
+
+const HAZARDS = ['crater', 'overpressure', 'thermal', 'tsunami'];
+
+/**
+ * Deaths and injuries by hazard for one impact scenario
+ * The population in each distance ring around ground zero faces the blast and thermal levels at
+ * that distance; everyone inside the final crater dies. Where hazards overlap, a person survives
+ * only if they survive all of them, and the deaths are shared among the hazards in proportion to
+ * their fatality rates (injuries likewise, among the survivors). Tsunami casualties come from the
+ * inundated strip at each coastal city the wave reaches.
+ * @param {Object} scenario - Result of calculateImpactScenario
+ * @param {Object} site - { lat, lon (deg), grid (population.js grid or null), coastalTsunami (tsunami.js entries) }
+ * @returns {Object} { hazards: { crater, overpressure, thermal, tsunami: { deaths, injuries } },
+ *                   totalDeaths, totalInjuries }
+ */
+function estimateCasualties(scenario, { lat, lon, grid, coastalTsunami = [] }) {
+    const hazards = Object.fromEntries(HAZARDS.map(id => [id, { deaths: 0, injuries: 0 }]));
+    if (!grid || !scenario) return summarize(hazards);
+
+    const { craterKm, rings } = hazardRings(scenario);
+    if (craterKm > 0) hazards.crater.deaths = estimatePopulationInZone(grid, lat, lon, craterKm);
+    rings.forEach(ring => {
+        const population = estimatePopulationInZone(grid, lat, lon, ring.outerKm, ring.innerKm);
+        if (population > 0) applyCombinedHazards(hazards, population, ring.levels);
+    });
+    inundationZones(coastalTsunami).forEach(zone => {
+        const population = zone.area * populationDensityAt(grid, zone.city.lat, zone.city.lon);
+        applyCombinedHazards(hazards, population, { tsunami: zone.depth });
+    });
+
+    return summarize(hazards);
+}
+
+/**
+ * Blast and thermal levels in log-spaced distance rings around ground zero
+ * Rings run from the crater rim (or 100 m) out to where the injury curves become negligible;
+ * each carries the peak overpressure (kPa) and the 1 Mt-equivalent burn fluence (J/m²) at its
+ * middle distance, ready for the VULNERABILITY curves.
+ * @param {Object} scenario - Result of calculateImpactScenario
+ * @returns {Object} { craterKm (final crater radius, 0 for an airburst), rings: [{ innerKm, outerKm, levels }] }
+ */
+function hazardRings(scenario) {
+    const isAirburst = scenario.outcome === 'airburst';
+    const energy = isAirburst ? scenario.airburstEnergy : scenario.groundEnergy;
+    const altitude = isAirburst ? scenario.airburstAltitude : 0;
+    const craterKm = isAirburst ? 0 : (scenario.craterDiameter || 0) / 2000;
+    if (!(energy > 0)) return { craterKm, rings: [] };
+
+    const effects = calculateAtmosphericEffects(energy, altitude);
+    const burnScale = Math.pow(energy / JOULES_PER_MEGATON, 1/6);
+    const outerKm = Math.max(...solveThresholdRadii(energy, altitude, NEGLIGIBLE_LEVELS).map(t => t.radius)) / 1000;
+    const innerKm = Math.max(craterKm, INNER_RING_KM);
+    if (!(outerKm > innerKm)) return { craterKm, rings: [] };
+
+    const ratio = Math.pow(outerKm / innerKm, 1 / DISTANCE_RINGS);
+    const rings = [];
+    for (let i = 0; i < DISTANCE_RINGS; i++) {
+        const r0 = innerKm * Math.pow(ratio, i);
+        const r1 = r0 * ratio;
+        const r = Math.sqrt(r0 * r1) * 1000;
+        rings.push({
+            // The first ring starts at the rim: the crater itself is counted separately
+            innerKm: i === 0 ? craterKm : r0,
+            outerKm: r1,
+            levels: {
+                overpressure: effects.overpressure(r),
+                thermal: effects.thermalIntensity(r) / burnScale
+            }
+        });
+    }
+    return { craterKm, rings };
+}
+
+/**
+ * Inundated coastal strips at the cities the tsunami reaches
+ * Each strip is a landward half-disc reaching INUNDATION_KM_PER_METER per meter of run-up,
+ * flooded to half the run-up on average.
+ * @param {Array} coastalTsunami - Entries of calculateCoastalTsunami
+ * @returns {Array} [{ city, area (km²), depth (m) }]
+ */
+function inundationZones(coastalTsunami = []) {
+    return coastalTsunami
+        .filter(city => !city.shielded && city.runUp >= MIN_RUN_UP)
+        .map(city => {
+            const reachKm = INUNDATION_KM_PER_METER * city.runUp;
+            return { city, area: 0.5 * Math.PI * reachKm * reachKm, depth: city.runUp / 2 };
+        });
+}
+
+// Helper functions
+
+function vulnerability(curve, x) {
+    return x > 0 ? 1 / (1 + Math.pow(curve.x50 / x, curve.k)) : 0;
+}
+
+function applyCombinedHazards(hazards, population, levels) {
+    const ids = Object.keys(levels);
+    const fatality = ids.map(id => vulnerability(VULNERABILITY[id].fatality, levels[id]));
+    const injury = ids.map(id => vulnerability(VULNERABILITY[id].injury, levels[id]));
+    const survival = fatality.reduce((s, f) => s * (1 - f), 1);
+    const uninjured = injury.reduce((s, p) => s * (1 - p), 1);
+
+    const deaths = population * (1 - survival);
+    const injuries = population * survival * (1 - uninjured);
+    const fatalitySum = fatality.reduce((a, b) => a + b, 0);
+    const injurySum = injury.reduce((a, b) => a + b, 0);
+    ids.forEach((id, k) => {
+        if (fatalitySum > 0) hazards[id].deaths += deaths * fatality[k] / fatalitySum;
+        if (injurySum > 0) hazards[id].injuries += injuries * injury[k] / injurySum;
+    });
+}
+
+function summarize(hazards) {
+    HAZARDS.forEach(id => {
+        hazards[id].deaths = Math.round(hazards[id].deaths);
+        hazards[id].injuries = Math.round(hazards[id].injuries);
+    });
+    return {
+        hazards,
+        totalDeaths: HAZARDS.reduce((sum, id) => sum + hazards[id].deaths, 0),
+        totalInjuries: HAZARDS.reduce((sum, id) => sum + hazards[id].injuries, 0)
+    };
+}
+
+// Export functions
+export {
+    estimateCasualties,
+    hazardRings,
+    inundationZones,
+    vulnerability,
+    VULNERABILITY
+};
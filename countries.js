@@ -0,0 +1,124 @@
+// Country Attribution from Boundary Polygons
+import { destinationPoint, EARTH_RADIUS_KM } from './geodesy.js';
+
+// Constants
+const ZONE_RINGS = 24;  // Polar sampling of a zone: equal-width rings of equal-angle sectors
+const ZONE_SECTORS = 72;
+
+/**
+ * Index country boundaries for point lookups
+ * @param {Object} geojson - Parsed data/countries.geojson: Polygon or MultiPolygon features with
+ *                           ISO_A3 and NAME properties, coordinates as [lon, lat]
+ * @returns {Array} [{ iso, name, geometry, polygons, bbox: { west, east, south, north }, polygonBoxes (one bbox per polygon) }]
+ */
+function createCountryIndex(geojson) {
+    const features = geojson && Array.isArray(geojson.features) ? geojson.features : [];
+    return features
+        .filter(feature => feature && feature.geometry && feature.properties)
+        .map(feature => {
+            const { type, coordinates } = feature.geometry;
+            const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+            const polygonBoxes = polygons.map(polygon => ringBox(polygon[0]));
+            const bbox = polygonBoxes.reduce((box, part) => ({
+                west: Math.min(box.west, part.west),
+                east: Math.max(box.east, part.east),
+                south: Math.min(box.south, part.south),
+                north: Math.max(box.north, part.north)
+            }), { west: 180, east: -180, south: 90, north: -90 });
+            return {
+                iso: feature.properties.ISO_A3,
+                name: feature.properties.NAME,
+                geometry: feature.geometry,
+                polygons,
+                bbox,
+                polygonBoxes
+            };
+        })
+        .filter(country => country.polygons.length > 0);
+}
+
+/**
+ * The country containing a point
+ * @param {Array} index - From createCountryIndex
+ * @returns {Object} Index entry, or null over open water
+ */
+function countryAt(index, lat, lon) {
+    const x = ((lon + 540) % 360) - 180;
+    return index.find(country => insideBox(country.bbox, x, lat) && country.polygons.some((polygon, k) =>
+        insideBox(country.polygonBoxes[k], x, lat) && insideRing(polygon[0], x, lat) && !polygon.slice(1).some(hole => insideRing(hole, x, lat))
+    )) || null;
+}
+
+/**
+ * How a circular zone on the sphere divides among countries
+ * The disc (or annulus) is sampled on ZONE_RINGS rings of ZONE_SECTORS sectors, each sample
+ * weighted by the area it stands for, so the shares sum to 1 with open water.
+ * @param {Array} index - From createCountryIndex
+ * @param {number} lat - Zone center latitude (deg)
+ * @param {number} lon - Zone center longitude (deg)
+ * @param {number} radiusKm - Great-circle radius (km)
+ * @param {number} innerRadiusKm - Optional inner radius (km) to split an annulus instead
+ * @returns {Object} { countries: [{ iso, name, share }] largest first, water (share outside every country) }
+ */
+function zoneCountryShares(index, lat, lon, radiusKm, innerRadiusKm = 0) {
+    const areas = new Map();
+    let water = 0, total = 0;
+    if (!Array.isArray(index) || !(radiusKm > innerRadiusKm)) return { countries: [], water: 0 };
+
+    const ringWidth = (radiusKm - innerRadiusKm) / ZONE_RINGS;
+    for (let i = 0; i < ZONE_RINGS; i++) {
+        const r0 = innerRadiusKm + i * ringWidth;
+        const r1 = r0 + ringWidth;
+        const sampleArea = (Math.cos(r0 / EARTH_RADIUS_KM) - Math.cos(r1 / EARTH_RADIUS_KM)) / ZONE_SECTORS;
+        for (let j = 0; j < ZONE_SECTORS; j++) {
+            const point = destinationPoint(lat, lon, (r0 + r1) / 2, 2 * Math.PI * (j + 0.5) / ZONE_SECTORS);
+            const country = countryAt(index, point.lat, point.lon);
+            if (country) areas.set(country, (areas.get(country) || 0) + sampleArea);
+            else water += sampleArea;
+            total += sampleArea;
+        }
+    }
+
+    return {
+        countries: [...areas.entries()]
+            .map(([country, area]) => ({ iso: country.iso, name: country.name, share: area / total }))
+            .sort((a, b) => b.share - a.share),
+        water: water / total
+    };
+}
+
+// Helper functions
+
+function ringBox(ring) {
+    const box = { west: 180, east: -180, south: 90, north: -90 };
+    ring.forEach(([lon, lat]) => {
+        box.west = Math.min(box.west, lon);
+        box.east = Math.max(box.east, lon);
+        box.south = Math.min(box.south, lat);
+        box.north = Math.max(box.north, lat);
+    });
+    return box;
+}
+
+function insideBox(box, x, y) {
+    return x >= box.west && x <= box.east && y >= box.south && y <= box.north;
+}
+
+// Even-odd ray casting on [lon, lat] vertices
+function insideRing(ring, x, y) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+
+// Export functions
+export {
+    createCountryIndex,
+    countryAt,
+    zoneCountryShares
+};
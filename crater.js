@@ -0,0 +1,104 @@
+// Crater Formation Calculations (Collins, Melosh & Marcus 2005)
+
+// Constants
+const EARTH_GRAVITY = 9.81;  // m/s²
+const EARTH_TRANSITION_DIAMETER = 3200;  // Simple-to-complex transition on Earth in meters
+
+// Ejecta blanket thickness levels drawn as contours
+const EJECTA_CONTOURS = [
+    { id: 'ejecta10m', thickness: 10, label: 'Ejecta 10 m deep' },
+    { id: 'ejecta1m', thickness: 1, label: 'Ejecta 1 m deep' },
+    { id: 'ejecta10cm', thickness: 0.1, label: 'Ejecta 10 cm deep' },
+    { id: 'ejecta1cm', thickness: 0.01, label: 'Ejecta 1 cm deep' }
+];
+
+/**
+ * Final crater diameter at which craters turn from simple bowls to complex (central peak) structures
+ * Scales inversely with surface gravity: 3.2 km on Earth
+ */
+function calculateTransitionDiameter(gravity = EARTH_GRAVITY) {
+    return EARTH_TRANSITION_DIAMETER * EARTH_GRAVITY / gravity;
+}
+
+/**
+ * Collapse a transient crater into its final form
+ * @param {number} transientDiameter - Transient crater diameter (m)
+ * @param {number} gravity - Surface gravity (m/s²)
+ * @returns {Object} type ('simple' | 'complex'), transient and final diameter/depth, rim height,
+ *                   breccia lens thickness (m, simple craters only) and the ejecta contours
+ */
+function calculateCrater(transientDiameter, gravity = EARTH_GRAVITY) {
+    const transitionDiameter = calculateTransitionDiameter(gravity);
+    const transientDepth = transientDiameter / (2 * Math.SQRT2);
+
+    if (!(transientDiameter > 0)) {
+        return {
+            type: 'none', transientDiameter: 0, transientDepth: 0, finalDiameter: 0, finalDepth: 0,
+            rimHeight: 0, brecciaThickness: 0, transitionDiameter, ejectaContours: []
+        };
+    }
+
+    // Rim collapse widens a simple bowl to 1.25x the transient crater
+    let finalDiameter = 1.25 * transientDiameter;
+    let type = 'simple';
+    if (finalDiameter > transitionDiameter) {
+        // Complex craters: wall slumping and central uplift (eq. 27 and 28, lengths in km)
+        type = 'complex';
+        finalDiameter = 1000 * 1.17 * Math.pow(transientDiameter / 1000, 1.13) / Math.pow(transitionDiameter / 1000, 0.13);
+    }
+
+    const rimHeight = 0.07 * Math.pow(transientDiameter, 4) / Math.pow(finalDiameter, 3);
+
+    let finalDepth, brecciaThickness = 0;
+    if (type === 'simple') {
+        // Slumped wall material forms a breccia lens on the crater floor
+        const brecciaVolume = 0.032 * Math.pow(finalDiameter, 3);
+        brecciaThickness = 2.8 * brecciaVolume * (transientDepth + rimHeight) / (transientDepth * finalDiameter * finalDiameter);
+        finalDepth = transientDepth + rimHeight - brecciaThickness;
+    } else {
+        finalDepth = 1000 * 0.294 * Math.pow(finalDiameter / 1000, 0.301);
+    }
+
+    return {
+        type,
+        transientDiameter,
+        transientDepth,
+        finalDiameter,
+        finalDepth,
+        rimHeight,
+        brecciaThickness,
+        transitionDiameter,
+        ejectaContours: calculateEjectaContours(transientDiameter, finalDiameter)
+    };
+}
+
+/**
+ * Ejecta blanket thickness at a distance from the crater center: t = D_tc^4 / (112 r^3)
+ * @param {number} transientDiameter - Transient crater diameter (m)
+ * @param {number} distance - Distance from the crater center (m), at or beyond the rim
+ * @returns {number} Thickness in meters
+ */
+function calculateEjectaThickness(transientDiameter, distance) {
+    return Math.pow(transientDiameter, 4) / (112 * Math.pow(distance, 3));
+}
+
+// Helper functions
+
+// Distance at which the blanket thins to each contour level; levels thicker than the rim deposit are dropped
+function calculateEjectaContours(transientDiameter, finalDiameter) {
+    const rimRadius = finalDiameter / 2;
+    return EJECTA_CONTOURS
+        .map(contour => ({
+            ...contour,
+            radius: Math.cbrt(Math.pow(transientDiameter, 4) / (112 * contour.thickness))
+        }))
+        .filter(contour => contour.radius > rimRadius);
+}
+
+// Export functions
+export {
+    calculateTransitionDiameter,
+    calculateCrater,
+    calculateEjectaThickness,
+    EJECTA_CONTOURS
+};
@@ -0,0 +1,164 @@
+// Economic Loss by Country
+import { hazardRings, inundationZones, vulnerability } from './casualties.js';
+import { forEachPopulationSample, populationDensityAt } from './population.js';
+import { countryAt } from './countries.js';
+
+// Constants
+
+// Share of built capital destroyed, as log-logistic curves in the same hazard units as the
+// casualty VULNERABILITY curves: buildings fail at lower overpressures than it takes to kill their
+// occupants, fires need more heat than skin burns, and flooding ruins contents well below 2 m.
+const DAMAGE_CURVES = {
+    overpressure: { x50: 20, k: 3 },
+    thermal: { x50: 8e5, k: 3 },
+    tsunami: { x50: 2, k: 2 }
+};
+
+const LOCATOR_CELL_DEGREES = 0.5;  // Country lookups are cached per cell of this size
+// Wide rings look up countries on the coarsest of these lattices (deg) that is still narrower than
+// the ring: the outer rings of a large impact span continents, and a boundary lookup per 0.5° cell
+// there costs seconds
+const RING_LOCATOR_CELL_DEGREES = [5, 2, 1];
+const KM_PER_DEGREE = 111.2;
+
+/**
+ * Attribute locations to countries by the boundary polygon they fall in
+ * Points just off the generalized coastlines, and territories without a row in the economics
+ * table, fall back to another locator (normally the anchors).
+ * @param {Array} index - From createCountryIndex (countries.js)
+ * @param {Array} countries - Economics table entries, matched to the polygons by ISO code
+ * @param {Function} fallback - (lat, lon) => country entry, for points outside every polygon
+ * @returns {Function} (lat, lon) => country entry, or null
+ */
+function createBoundaryLocator(index, countries, fallback) {
+    const byIso = new Map((countries || []).map(country => [country.iso, country]));
+    return cachedPerCell((lat, lon) => {
+        const boundary = countryAt(index, lat, lon);
+        if (boundary && byIso.has(boundary.iso)) return byIso.get(boundary.iso);
+        return fallback ? fallback(lat, lon) : null;
+    });
+}
+
+/**
+ * Attribute locations to countries by the nearest country anchor
+ * A coarse stand-in for boundary data: each country lists its centroid plus a few in-country
+ * reference points (data/country-economics.json).
+ * @param {Array} countries - [{ iso, name, gdpPerCapita, capitalPerCapita, anchors: [[lat, lon]] }]
+ * @returns {Function} (lat, lon) => country entry, or null when the table is empty
+ */
+function createAnchorLocator(countries) {
+    const anchors = [];
+    (countries || []).forEach(country => (country.anchors || []).forEach(([lat, lon]) => anchors.push({ lat, lon, country })));
+    return cachedPerCell((lat, lon) => {
+        let best = null, bestDistance = Infinity;
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        anchors.forEach(anchor => {
+            const dLon = ((anchor.lon - lon + 540) % 360) - 180;
+            const distance = Math.pow(anchor.lat - lat, 2) + Math.pow(dLon * cosLat, 2);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = anchor.country;
+            }
+        });
+        return best;
+    });
+}
+
+/**
+ * Direct losses and lost output of one impact scenario, by country
+ * Built capital (people x capital per capita of their country) in each hazard ring is destroyed
+ * in the share given by the combined damage curves; everything inside the crater is lost. The
+ * damaged share of each country's output is lost too, recovering linearly over the recovery
+ * period, so indirect loss = annual output loss x recovery years / 2 (see indirectLoss).
+ * @param {Object} scenario - Result of calculateImpactScenario
+ * @param {Object} site - { lat, lon (deg), grid (population.js grid or null), coastalTsunami,
+ *                        countries (economics table), locateCountry ((lat, lon) => country entry) }
+ * @returns {Object} { directLoss (USD), annualOutputLoss (USD/yr),
+ *                   byCountry: [{ iso, name, directLoss, annualOutputLoss }] largest first }
+ */
+function estimateEconomicLoss(scenario, { lat, lon, grid, coastalTsunami = [], countries = [], locateCountry }) {
+    const totals = new Map();
+    if (!grid || !scenario || !locateCountry) return summarize(totals);
+
+    const addDamage = (country, people, damage) => {
+        if (!country || !(people > 0) || !(damage > 0)) return;
+        const entry = totals.get(country.iso) || { iso: country.iso, name: country.name, directLoss: 0, annualOutputLoss: 0 };
+        entry.directLoss += people * country.capitalPerCapita * damage;
+        entry.annualOutputLoss += people * country.gdpPerCapita * damage;
+        totals.set(country.iso, entry);
+    };
+
+    const { craterKm, rings } = hazardRings(scenario);
+    if (craterKm > 0) {
+        forEachPopulationSample(grid, lat, lon, craterKm, 0, (point, people) => addDamage(locateCountry(point.lat, point.lon), people, 1));
+    }
+    rings.forEach(ring => {
+        const damage = combinedDamage(ring.levels);
+        if (damage <= 0) return;
+        const cellDegrees = RING_LOCATOR_CELL_DEGREES.find(size => size * KM_PER_DEGREE < ring.outerKm - ring.innerKm);
+        const locate = cellDegrees ? snapToCell(locateCountry, cellDegrees) : locateCountry;
+        forEachPopulationSample(grid, lat, lon, ring.outerKm, ring.innerKm,
+            (point, people) => addDamage(locate(point.lat, point.lon), people, damage));
+    });
+
+    // Coastal cities carry their country's name; the locator covers any that are not in the table
+    const byName = new Map(countries.map(country => [country.name, country]));
+    inundationZones(coastalTsunami).forEach(zone => {
+        const country = byName.get(zone.city.country) || locateCountry(zone.city.lat, zone.city.lon);
+        addDamage(country, zone.area * populationDensityAt(grid, zone.city.lat, zone.city.lon), combinedDamage({ tsunami: zone.depth }));
+    });
+
+    return summarize(totals);
+}
+
+/**
+ * Output lost while the damaged area recovers, assuming a linear recovery
+ * @param {Object} loss - Result of estimateEconomicLoss
+ * @param {number} recoveryYears - Years until output is fully restored
+ * @returns {number} USD
+ */
+function indirectLoss(loss, recoveryYears) {
+    return loss.annualOutputLoss * Math.max(0, recoveryYears) / 2;
+}
+
+// Helper functions
+
+function combinedDamage(levels) {
+    return 1 - Object.keys(levels).reduce((intact, id) => intact * (1 - vulnerability(DAMAGE_CURVES[id], levels[id])), 1);
+}
+
+function cachedPerCell(locate) {
+    const cache = new Map();
+    return (lat, lon) => {
+        const key = `${Math.floor(lat / LOCATOR_CELL_DEGREES)},${Math.floor(lon / LOCATOR_CELL_DEGREES)}`;
+        if (!cache.has(key)) cache.set(key, locate(lat, lon));
+        return cache.get(key);
+    };
+}
+
+// Locator that answers for the center of the cell a point falls in
+function snapToCell(locate, cellDegrees) {
+    const center = value => (Math.floor(value / cellDegrees) + 0.5) * cellDegrees;
+    return (lat, lon) => locate(Math.min(90, center(lat)), center(lon));
+}
+
+function summarize(totals) {
+    const byCountry = [...totals.values()]
+        .map(entry => ({ ...entry, directLoss: Math.round(entry.directLoss), annualOutputLoss: Math.round(entry.annualOutputLoss) }))
+        .sort((a, b) => b.directLoss - a.directLoss);
+    const directLoss = byCountry.reduce((sum, entry) => sum + entry.directLoss, 0);
+    return {
+        directLoss,
+        annualOutputLoss: byCountry.reduce((sum, entry) => sum + entry.annualOutputLoss, 0),
+        byCountry
+    };
+}
+
+// Export functions
+export {
+    createAnchorLocator,
+    createBoundaryLocator,
+    estimateEconomicLoss,
+    indirectLoss,
+    DAMAGE_CURVES
+};
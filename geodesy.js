@@ -0,0 +1,41 @@
+// Great-circle Geometry on a Spherical Earth
+
+// Constants
+const EARTH_RADIUS_KM = 6371;  // Mean radius
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @returns {number} Distance in km
+ */
+function haversineKm(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Point reached by traveling a great-circle distance from a start point on a bearing
+ * @param {number} lat - Start latitude (deg)
+ * @param {number} lon - Start longitude (deg)
+ * @param {number} distanceKm - Distance along the surface (km)
+ * @param {number} bearing - Initial bearing (rad clockwise from north)
+ * @returns {Object} { lat, lon } in degrees, longitude in [-180, 180)
+ */
+function destinationPoint(lat, lon, distanceKm, bearing) {
+    const toRad = Math.PI / 180;
+    const delta = distanceKm / EARTH_RADIUS_KM;
+    const lat1 = lat * toRad;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(bearing));
+    const lon2 = lon * toRad + Math.atan2(Math.sin(bearing) * Math.sin(delta) * Math.cos(lat1),
+        Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+    return { lat: lat2 / toRad, lon: ((lon2 / toRad + 540) % 360) - 180 };
+}
+
+// Export functions
+export {
+    haversineKm,
+    destinationPoint,
+    EARTH_RADIUS_KM
+};
@@ -1,83 +1,286 @@
 // Advanced Impact Physics Calculations
+import { calculateCrater } from './crater.js';
 
 // Constants
 const G = 6.67430e-11;  // Gravitational constant in m³/kg/s²
 const EARTH_MASS = 5.972e24;  // Earth's mass in kg
 const EARTH_RADIUS = 6371000;  // Earth's radius in meters
 const AIR_DENSITY = 1.225;  // Air density at sea level in kg/m³
+const SCALE_HEIGHT = 8000;  // Atmospheric scale height in meters
+const EARTH_GRAVITY = 9.81;  // Surface gravity in m/s²
+const TARGET_DENSITY = 2500;  // Default target density in kg/m³
+const SCALING_MU = 0.55;  // Pi-scaling velocity exponent for rock, behind the L^0.78 of the crater law
+const DEFAULT_TARGET = { density: TARGET_DENSITY, strength: 0 };  // Gravity-regime rock when the site is unknown
+const WATER_DENSITY = 1000;  // Sea water column in kg/m³
+const WATER_DRAG_COEFFICIENT = 0.877;  // Projectile drag while crossing the water column
+const JOULES_PER_TON = 4.184e9;  // 1 ton TNT in joules
+const AMBIENT_PRESSURE = 101.325;  // Sea-level pressure in kPa
+const PSI_TO_KPA = 6.894757;
+const AIR_GAMMA = 1.4;  // Ratio of specific heats of air
+const JOULES_PER_MEGATON = 4.184e15;
+
+// Fraction of the released energy radiated as heat. Collins et al. (2005) use 3e-3 for an impact
+// fireball; a bolide radiates far more efficiently, and 3% reproduces Tunguska's ~10 km scorched zone.
+const IMPACT_LUMINOUS_EFFICIENCY = 3e-3;
+const AIRBURST_LUMINOUS_EFFICIENCY = 0.03;
+
+// Named damage thresholds, most severe first (Glasstone & Dolan 1977; Collins et al. 2005).
+// Overpressure values are in kPa. Burn values are fluences for a 1 Mt event in J/m², which grow
+// as E^(1/6) because longer pulses let skin shed more heat.
+const DAMAGE_THRESHOLDS = [
+    { id: 'concrete', kind: 'overpressure', label: 'Reinforced concrete damaged', value: 10 * PSI_TO_KPA },
+    { id: 'residential', kind: 'overpressure', label: 'Residential buildings collapse', value: 26.8 },
+    { id: 'windows', kind: 'overpressure', label: 'Windows shatter', value: 1 * PSI_TO_KPA },
+    { id: 'burn3', kind: 'thermal', label: '3rd-degree burns', value: 4.2e5 },
+    { id: 'burn2', kind: 'thermal', label: '2nd-degree burns', value: 2.5e5 },
+    { id: 'burn1', kind: 'thermal', label: '1st-degree burns', value: 1.3e5 }
+];
+
+// Airburst contours: fixed overpressure levels plus the burn thresholds
+const AIRBURST_THRESHOLDS = [
+    ...[20, 10, 4, 1].map(psi => ({ id: `psi${psi}`, kind: 'overpressure', label: `${psi} psi`, value: psi * PSI_TO_KPA })),
+    ...DAMAGE_THRESHOLDS.filter(t => t.kind === 'thermal')
+];
+
+// Modified Mercalli intensity bands, keyed by the effective Richter magnitude felt at a site
+// (Collins et al. 2005, Table 3), strongest first
+const SHAKING_BANDS = [
+    { id: 'mmi10', kind: 'seismic', label: 'MMI X-XI: most buildings destroyed', intensity: 'X-XI', magnitude: 8 },
+    { id: 'mmi9', kind: 'seismic', label: 'MMI IX-X: heavy damage', intensity: 'IX-X', magnitude: 7 },
+    { id: 'mmi7', kind: 'seismic', label: 'MMI VII-VIII: moderate damage', intensity: 'VII-VIII', magnitude: 6 },
+    { id: 'mmi6', kind: 'seismic', label: 'MMI VI-VII: light damage', intensity: 'VI-VII', magnitude: 5 },
+    { id: 'mmi4', kind: 'seismic', label: 'MMI IV-V: felt by most', intensity: 'IV-V', magnitude: 4 }
+];
+// Full table, for the intensity at a single site
+const MERCALLI_SCALE = [
+    { intensity: 'XII', magnitude: 9 },
+    ...SHAKING_BANDS,
+    { intensity: 'III-IV', magnitude: 3 },
+    { intensity: 'I-II', magnitude: 2 },
+    { intensity: 'I', magnitude: 1 }
+];
+
+// Atmospheric entry (Collins et al. 2005; Chyba et al. 1993)
+const ENTRY_ALTITUDE = 100000;  // Top of the integrated atmosphere in meters
+const DRAG_COEFFICIENT = 2.0;
+const HEAT_TRANSFER_COEFFICIENT = 0.1;  // Fraction of incident air energy that ablates material
+const HEAT_OF_ABLATION = 8e6;  // J/kg for stony material
+const PANCAKE_FACTOR = 7;  // Fragment cloud bursts once it has spread to this many times its size
+const GROUND_ENERGY_THRESHOLD = 0.01;  // Below this fraction of entry energy nothing cratering reaches the ground
 
 /**
- * Calculate the final velocity after atmospheric entry
- * Uses the pancake model for atmospheric entry
+ * Bulk strength of an impactor from its density (Collins et al. 2005, eq. 10)
+ * log10(Y) = 2.107 + 0.0624 * sqrt(density), Y in Pa
  */
-function calculateAtmosphericEntry(initialVelocity, radius, density, entryAngle) {
-    const crossSection = Math.PI * radius * radius;
-    const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
-    const dragCoefficient = 1.0;  // Approximate for spherical object
-    
-    // Simplified atmospheric drag equation
-    const velocityLoss = (AIR_DENSITY * crossSection * dragCoefficient * Math.pow(initialVelocity, 2)) / (2 * mass);
-    const finalVelocity = Math.max(0, initialVelocity - velocityLoss);
-    
-    return finalVelocity;
+function calculateYieldStrength(density) {
+    return Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density));
+}
+
+/**
+ * Integrate atmospheric entry through an exponential atmosphere
+ * Drag, ablation and gravity act on the body until the ram pressure exceeds its strength; the
+ * fragments then spread as a pancake until they reach PANCAKE_FACTOR times the original size,
+ * at which point the remaining kinetic energy is released as an airburst.
+ * @param {number} initialVelocity - Entry velocity at 100 km (m/s)
+ * @param {number} radius - Impactor radius (m)
+ * @param {number} density - Impactor density (kg/m³)
+ * @param {number} entryAngle - Entry angle above the horizontal (deg)
+ * @param {number} strength - Yield strength (Pa), defaults to the density-based estimate
+ * @returns {Object} outcome ('impact' | 'airburst'), finalVelocity (m/s at the ground), breakupAltitude,
+ *                   airburstAltitude (m, null if none), airburstEnergy, groundEnergy (J) and groundEnergyFraction
+ */
+function calculateAtmosphericEntry(initialVelocity, radius, density, entryAngle, strength = calculateYieldStrength(density)) {
+    const initialMass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
+    const entryEnergy = 0.5 * initialMass * initialVelocity * initialVelocity;
+
+    let v = initialVelocity;
+    let mass = initialMass;
+    let altitude = ENTRY_ALTITUDE;
+    let pathAngle = Math.max(entryAngle, 1) * Math.PI / 180;  // Below the horizontal
+    let spreadRadius = radius;
+    let spreadRate = 0;
+    let breakupAltitude = null;
+    let burstAltitude = null;
+    let peakDeposition = 0, peakAltitude = null;
+
+    while (altitude > 0) {
+        const airDensity = AIR_DENSITY * Math.exp(-altitude / SCALE_HEIGHT);
+        const area = Math.PI * spreadRadius * spreadRadius;
+        const gravity = EARTH_GRAVITY * Math.pow(EARTH_RADIUS / (EARTH_RADIUS + altitude), 2);
+        const dt = Math.min(0.05, 50 / v);  // ~50 m per step
+
+        if (breakupAltitude === null && airDensity * v * v > strength) breakupAltitude = altitude;
+        if (breakupAltitude !== null) {
+            // Pancake: the fragment cloud flattens under the pressure difference across it
+            // (d²L/dt² = Cd * rho_air * v² / (rho_i * L), written for the radius)
+            spreadRate += DRAG_COEFFICIENT * airDensity * v * v / (4 * density * spreadRadius) * dt;
+            spreadRadius += spreadRate * dt;
+        }
+
+        const energyBefore = 0.5 * mass * v * v;
+        const dv = (-DRAG_COEFFICIENT * airDensity * area * v * v / (2 * mass) + gravity * Math.sin(pathAngle)) * dt;
+        const dm = -HEAT_TRANSFER_COEFFICIENT * airDensity * area * Math.pow(v, 3) / (2 * HEAT_OF_ABLATION) * dt;
+        const dAngle = (gravity * Math.cos(pathAngle) / v - v * Math.cos(pathAngle) / (EARTH_RADIUS + altitude)) * dt;
+        const dh = -v * Math.sin(pathAngle) * dt;
+
+        v = Math.max(v + dv, 0);
+        mass = Math.max(mass + dm, 0);
+        pathAngle += dAngle;
+        altitude += dh;
+
+        // Energy deposited per meter of altitude: its peak marks the burst height of a body that is
+        // slowed or ablated away without a distinct burst
+        const deposition = (energyBefore - 0.5 * mass * v * v) / Math.max(-dh, 1e-6);
+        if (deposition > peakDeposition) { peakDeposition = deposition; peakAltitude = altitude; }
+
+        if (breakupAltitude !== null && spreadRadius >= PANCAKE_FACTOR * radius) {
+            burstAltitude = Math.max(altitude, 0);
+            break;
+        }
+        if (mass <= 0 || v < 1) break;
+    }
+
+    const reachedGround = burstAltitude === null && altitude <= 0;
+    const groundEnergy = reachedGround ? 0.5 * mass * v * v : 0;
+    const groundEnergyFraction = entryEnergy > 0 ? groundEnergy / entryEnergy : 0;
+    const isAirburst = groundEnergyFraction < GROUND_ENERGY_THRESHOLD;
+
+    return {
+        outcome: isAirburst ? 'airburst' : 'impact',
+        finalVelocity: reachedGround ? v : 0,
+        finalMass: mass,
+        breakupAltitude,
+        airburstAltitude: isAirburst ? (burstAltitude !== null ? burstAltitude : Math.max(peakAltitude || 0, 0)) : null,
+        airburstEnergy: isAirburst ? entryEnergy - groundEnergy : 0,
+        groundEnergy,
+        groundEnergyFraction
+    };
 }
 
 /**
  * Calculate crater dimensions using scaling laws
- * Based on Holsapple (1993) crater scaling relationships
+ * Gravity-regime pi-scaling (Holsapple 1993) in the form of Collins et al. (2005):
+ * D_tc = 1.161 * (rho_i / rho_t)^(1/3) * L^0.78 * v^0.44 * g^-0.22 * sin(angle)^(1/3)
+ * The projectile diameter L is recovered from the energy, velocity (m/s) and projectile density.
+ * A target with strength Y (Pa) shrinks small craters by the strength-gravity transition factor
+ * [1 + pi3^((2+mu)/2) / pi2]^(-mu/(2+mu)), with pi2 = g a / U² and pi3 = Y / (rho_t U²);
+ * large craters are unaffected because gravity dominates there.
+ * The transient crater then collapses into a simple or complex final crater (see crater.js).
  */
-function calculateCraterDimensions(energy, targetDensity, gravity, impactAngle) {
-    const pi2 = energy / (targetDensity * Math.pow(gravity, 1.65));
-    const transientRadius = 0.75 * Math.pow(pi2, 0.13);  // Simple-to-complex transition
-    
-    // Adjust for impact angle (vertical = 1.0)
-    const angleEffect = Math.pow(Math.sin(impactAngle * Math.PI / 180), 0.33);
-    
+function calculateCraterDimensions(energy, targetDensity, gravity, impactAngle, velocity, projectileDensity = 3000, targetStrength = 0) {
+    if (!(energy > 0) || !(velocity > 0)) return { radius: 0, depth: 0, ...calculateCrater(0, gravity) };
+
+    const projectileDiameter = Math.cbrt(12 * energy / (Math.PI * projectileDensity * velocity * velocity));
+    const transientDiameter = 1.161 * Math.cbrt(projectileDensity / targetDensity) *
+        Math.pow(projectileDiameter, 0.78) * Math.pow(velocity, 0.44) * Math.pow(gravity, -0.22) *
+        Math.cbrt(Math.sin(impactAngle * Math.PI / 180)) *
+        calculateStrengthFactor(projectileDiameter / 2, velocity, targetDensity, targetStrength, gravity);
+
+    const crater = calculateCrater(transientDiameter, gravity);
     return {
-        radius: transientRadius * angleEffect,
-        depth: transientRadius * angleEffect * 0.28  // Depth-to-diameter ratio
+        radius: crater.finalDiameter / 2,
+        depth: crater.finalDepth,
+        ...crater
     };
 }
 
 /**
  * Calculate seismic effects using energy-magnitude scaling
- * Returns Richter scale magnitude and max distance for various effects
+ * M = 0.67 * log10(E) - 5.87 (Collins et al. 2005, seismic efficiency 1e-4), with the distance to
+ * each Modified Mercalli band where the effective magnitude drops to that band's threshold
+ * @returns {Object} Richter magnitude, shaking radii in km (severe = MMI VII+, moderate = VI+,
+ *                   light = IV+) and intensityBands [{ id, kind, label, intensity, radius (m) }]
  */
 function calculateSeismicEffects(energy) {
-    // Convert energy to TNT equivalent
-    const TNT = energy / 4.184e9;
-    
-    // Empirical relationship for seismic magnitude
-    const magnitude = 0.67 * (Math.log10(TNT) - 0.645);
+    const magnitude = 0.67 * Math.log10(energy) - 5.87;
+
+    const intensityBands = SHAKING_BANDS.map(band => ({
+        ...band,
+        radius: Math.min(Math.PI * EARTH_RADIUS,
+            solveRadius(r => calculateEffectiveMagnitude(magnitude, r / 1000), band.magnitude))
+    }));
+    const radiusKm = (id) => intensityBands.find(b => b.id === id).radius / 1000;
     
-    // Calculate effect radii based on magnitude
-    const effects = {
+    return {
         magnitude: magnitude,
-        severeShaking: Math.pow(10, 0.5 * magnitude - 1.8),  // km
-        moderateShaking: Math.pow(10, 0.5 * magnitude - 1.2),  // km
-        lightShaking: Math.pow(10, 0.5 * magnitude - 0.6)   // km
+        severeShaking: radiusKm('mmi7'),
+        moderateShaking: radiusKm('mmi6'),
+        lightShaking: radiusKm('mmi4'),
+        intensityBands
     };
-    
-    return effects;
 }
 
 /**
- * Calculate tsunami wave height and propagation
- * Simplified model based on energy and water depth
+ * Magnitude an impact of the given Richter magnitude is felt with at a distance (Collins et al. 2005):
+ * M - 0.0238 r within 60 km, M - 0.0048 r - 1.1644 out to 700 km, then falling as 1.66 log10(r)
+ * @param {number} magnitude - Richter magnitude at the source
+ * @param {number} distance - Distance from the impact point (km)
  */
-function calculateTsunamiEffects(energy, waterDepth, distance) {
-    if (waterDepth <= 0) return { height: 0, velocity: 0 };
+function calculateEffectiveMagnitude(magnitude, distance) {
+    if (distance < 60) return magnitude - 0.0238 * distance;
+    if (distance < 700) return magnitude - 0.0048 * distance - 1.1644;
+    // Same log slope as the paper's far field, anchored to stay continuous at 700 km
+    return magnitude - 1.66 * Math.log10(distance / 700) - 4.5244;
+}
+
+/**
+ * Modified Mercalli intensity for an effective magnitude, e.g. 'VII-VIII', or null below MMI I
+ */
+function mercalliIntensity(effectiveMagnitude) {
+    const band = MERCALLI_SCALE.find(b => effectiveMagnitude >= b.magnitude);
+    return band ? band.intensity : null;
+}
+
+/**
+ * Transient cavity opened in the water column, and what is left of the projectile at the seafloor
+ * Water-target pi-scaling (Collins et al. 2005): D_tw = 1.365 * (rho_i / rho_w)^(1/3) * L^0.78 * v^0.44 * g^-0.22 * sin(angle)^(1/3)
+ * Drag through a water layer of depth h slows the projectile to v * exp(-3 rho_w C_D h / (2 rho_i L sin(angle)))
+ * @returns {Object} Cavity diameter and depth (m), seafloor velocity (m/s) and seafloor energy (J)
+ */
+function calculateWaterCavity(energy, waterDepth, impactAngle, velocity, projectileDensity = 3000) {
+    if (!(energy > 0) || !(velocity > 0) || !(waterDepth > 0)) {
+        return { diameter: 0, depth: 0, seafloorVelocity: 0, seafloorEnergy: 0 };
+    }
+
+    const projectileDiameter = Math.cbrt(12 * energy / (Math.PI * projectileDensity * velocity * velocity));
+    const sinAngle = Math.sin(impactAngle * Math.PI / 180);
+    const diameter = 1.365 * Math.cbrt(projectileDensity / WATER_DENSITY) *
+        Math.pow(projectileDiameter, 0.78) * Math.pow(velocity, 0.44) * Math.pow(EARTH_GRAVITY, -0.22) *
+        Math.cbrt(sinAngle);
+    const seafloorVelocity = velocity * Math.exp(-3 * WATER_DENSITY * WATER_DRAG_COEFFICIENT * waterDepth /
+        (2 * projectileDensity * projectileDiameter * sinAngle));
+
+    return {
+        diameter,
+        depth: diameter / (2 * Math.SQRT2),
+        seafloorVelocity,
+        seafloorEnergy: energy * Math.pow(seafloorVelocity / velocity, 2)
+    };
+}
+
+/**
+ * Calculate tsunami wave height and propagation from the water cavity
+ * The collapsing cavity rim launches a wave of amplitude min(D_tw / 14.1, h) that decays as 1/r
+ * beyond three quarters of a cavity diameter; it travels as a shallow-water wave at sqrt(g h).
+ * @param {number} cavityDiameter - Transient water cavity diameter (m)
+ * @param {number} waterDepth - Water depth at the impact point (m)
+ * @param {number} distance - Distance from the impact point (m)
+ * @returns {Object} Source amplitude and height at the distance (m), wave velocity (m/s)
+ */
+function calculateTsunamiEffects(cavityDiameter, waterDepth, distance) {
+    if (!(waterDepth > 0) || !(cavityDiameter > 0)) return { sourceAmplitude: 0, height: 0, velocity: 0 };
     
-    // Deep water wave velocity
-    const waveVelocity = Math.sqrt(9.81 * waterDepth);  // m/s
+    // Shallow-water (long) wave velocity
+    const waveVelocity = Math.sqrt(EARTH_GRAVITY * waterDepth);  // m/s
     
-    // Initial wave height (simplified energy conversion)
-    const initialHeight = Math.pow(energy / (1000 * 9.81 * waterDepth), 0.25);
+    // The rim wave cannot be taller than the water is deep
+    const sourceAmplitude = Math.min(cavityDiameter / 14.1, waterDepth);
     
-    // Wave height decay with distance (cylindrical spreading)
-    const height = initialHeight * Math.sqrt(100 / Math.max(distance, 100));
+    const sourceRadius = 0.75 * cavityDiameter;
+    const height = sourceAmplitude * Math.min(1, sourceRadius / Math.max(distance, 1));
     
     return {
+        sourceAmplitude,
         height: height,
         velocity: waveVelocity
     };
@@ -85,36 +288,185 @@ function calculateTsunamiEffects(energy, waterDepth, distance) {
 
 /**
  * Calculate atmospheric effects (shock wave, thermal radiation)
+ * Distances are measured along the ground. For an airburst the free-air shock is evaluated at the
+ * slant range from the burst point and then reflected off the ground, as in the airburst treatment of
+ * Collins et al. (2005): the ground sees the reflected overpressure, about twice the incident one for
+ * a weak shock (Rankine-Hugoniot normal reflection).
  */
-function calculateAtmosphericEffects(energy, altitude) {
-    const TNT = energy / 4.184e9;
+function calculateAtmosphericEffects(energy, altitude = 0,
+        luminousEfficiency = altitude > 0 ? AIRBURST_LUMINOUS_EFFICIENCY : IMPACT_LUMINOUS_EFFICIENCY) {
+    const TNT = energy / JOULES_PER_TON * 1000;  // kg TNT
     
-    // Scaled distance for overpressure calculations
-    const z = (r) => r / Math.pow(TNT, 1/3);
+    // Scaled distance for overpressure calculations (m/kg^(1/3))
+    const z = (r) => Math.hypot(r, altitude) / Math.pow(TNT, 1/3);
     
-    // Calculate blast wave overpressure at different distances
+    // Calculate blast wave overpressure at different distances (Kinney & Graham 1985)
     const getOverpressure = (r) => {
         const zVal = z(r);
-        return 808 * Math.pow(1 + Math.pow(zVal/4.5, 2), -1.5);  // kPa
+        const ratio = 808 * (1 + Math.pow(zVal / 4.5, 2)) /
+            (Math.sqrt(1 + Math.pow(zVal / 0.048, 2)) * Math.sqrt(1 + Math.pow(zVal / 0.32, 2)) * Math.sqrt(1 + Math.pow(zVal / 1.35, 2)));
+        return ratio * AMBIENT_PRESSURE;  // kPa
     };
+    const getGroundOverpressure = altitude > 0 ? (r) => reflectedOverpressure(getOverpressure(r)) : getOverpressure;
     
     // Calculate thermal radiation intensity
-    const thermalEnergy = 0.3 * energy;  // 30% converted to thermal
+    const thermalEnergy = luminousEfficiency * energy;
     const getThermalIntensity = (r) => {
-        return thermalEnergy / (4 * Math.PI * Math.pow(r, 2));  // W/m²
+        return thermalEnergy / (4 * Math.PI * (r * r + altitude * altitude));  // J/m² (fluence over the pulse)
     };
     
     return {
-        overpressure: getOverpressure,
+        overpressure: getGroundOverpressure,
         thermalIntensity: getThermalIntensity
     };
 }
 
+/**
+ * Find the ground distance at which each damage threshold is reached
+ * Inverts the overpressure(r) and thermalIntensity(r) curves of calculateAtmosphericEffects.
+ * @param {number} energy - Energy driving the blast (J)
+ * @param {number} altitude - Burst altitude (m), 0 for a surface impact
+ * @param {Array} thresholds - Threshold definitions ({ id, kind, label, value }), DAMAGE_THRESHOLDS by default
+ * @returns {Array} The thresholds with a `radius` in meters added (0 where never reached)
+ */
+function solveThresholdRadii(energy, altitude = 0, thresholds = DAMAGE_THRESHOLDS) {
+    if (!(energy > 0)) return thresholds.map(t => ({ ...t, radius: 0 }));
+
+    const effects = calculateAtmosphericEffects(energy, altitude);
+    const burnScale = Math.pow(energy / JOULES_PER_MEGATON, 1/6);
+    return thresholds.map(t => ({
+        ...t,
+        radius: t.kind === 'thermal'
+            ? solveRadius(effects.thermalIntensity, t.value * burnScale)
+            : solveRadius(effects.overpressure, t.value)
+    }));
+}
+
+/**
+ * Ground damage contours of an airburst: 20, 10, 4 and 1 psi plus the burn thresholds
+ * @param {number} energy - Energy released in the burst (J)
+ * @param {number} altitude - Burst altitude (m)
+ * @returns {Array} Thresholds with radii in meters (see solveThresholdRadii)
+ */
+function calculateAirburstDamage(energy, altitude) {
+    return solveThresholdRadii(energy, altitude, AIRBURST_THRESHOLDS);
+}
+
+/**
+ * Run the full impact model for one scenario
+ * This is the single source for every number the simulator shows (impact info panel,
+ * impact facts overlay, reduced-impact rings, explosion size, mitigation inputs).
+ * `energy` is the total kinetic energy at entry, which is what the hazard scales use. Cratering,
+ * seismic and tsunami effects use only the energy that reaches the ground; an airburst drives
+ * the blast from its burst altitude instead.
+ * An impact into water opens a cavity in the water column and launches a tsunami; the projectile
+ * only craters the seafloor if the cavity reaches it.
+ * @param {Object} params - { diameter (m), density (kg/m³), velocity (km/s at entry), angle (deg), elevation (m),
+ *                          target ({ density (kg/m³), strength (Pa) } of the ground or seafloor, see
+ *                          target-material.js), waterDepth (m, defaults to the depth below sea level) }
+ * @returns {Object} Outcome, mass, velocities, energies (J), TNT equivalent (tons), entry details,
+ *                   crater (final size plus the full crater.js result) and fireball size,
+ *                   damage-threshold radii (m; blastRadius is residential collapse and
+ *                   shockwaveRadius window breakage), seismic effects, water cavity and tsunami
+ */
+function calculateImpactScenario({ diameter, density, velocity, angle = 45, elevation = 0, target = DEFAULT_TARGET,
+        waterDepth = Math.max(0, -elevation) }) {
+    const radius = diameter / 2;
+    const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
+    const entryVelocity = velocity * 1000;  // m/s
+    const entry = calculateAtmosphericEntry(entryVelocity, radius, density, angle);
+    const impactVelocity = entry.finalVelocity;
+
+    const energy = 0.5 * mass * Math.pow(entryVelocity, 2);
+    const groundEnergy = entry.groundEnergy;
+    const tntEquivalent = energy / JOULES_PER_TON;
+    const isAirburst = entry.outcome === 'airburst';
+
+    // An airburst delivers no ground energy, so the cavity and crater come back empty ('none')
+    const cavity = calculateWaterCavity(groundEnergy, waterDepth, angle, impactVelocity, density);
+    const seafloorReached = waterDepth > 0 && cavity.depth >= waterDepth;
+    const crater = waterDepth > 0
+        ? calculateCraterDimensions(seafloorReached ? cavity.seafloorEnergy : 0, target.density, EARTH_GRAVITY, angle,
+            cavity.seafloorVelocity, density, target.strength)
+        : calculateCraterDimensions(groundEnergy, target.density, EARTH_GRAVITY, angle, impactVelocity, density, target.strength);
+    const damageRadii = isAirburst
+        ? solveThresholdRadii(entry.airburstEnergy, entry.airburstAltitude)
+        : solveThresholdRadii(groundEnergy, 0);
+    const radiusOf = (id) => damageRadii.find(d => d.id === id).radius;
+    const seismic = groundEnergy > 0 ? calculateSeismicEffects(groundEnergy) : null;
+    const tsunami = calculateTsunamiEffects(cavity.diameter, waterDepth, 0);
+
+    return {
+        outcome: entry.outcome,
+        mass,
+        entryVelocity,
+        impactVelocity,
+        entryEnergy: energy,
+        energy,
+        groundEnergy,
+        groundEnergyFraction: entry.groundEnergyFraction,
+        tntEquivalent,
+        breakupAltitude: entry.breakupAltitude,
+        airburstAltitude: entry.airburstAltitude,
+        airburstEnergy: entry.airburstEnergy,
+        craterDiameter: 2 * crater.radius,
+        craterDepth: crater.depth,
+        crater,
+        fireballRadius: 0.002 * Math.cbrt(isAirburst ? entry.airburstEnergy : groundEnergy),  // Collins et al. (2005) eq. 32
+        damageRadii,
+        blastRadius: radiusOf('residential'),
+        shockwaveRadius: radiusOf('windows'),
+        airburstDamage: isAirburst ? calculateAirburstDamage(entry.airburstEnergy, entry.airburstAltitude) : null,
+        seismicMagnitude: seismic ? seismic.magnitude : null,
+        seismic,
+        waterDepth,
+        waterCavity: { diameter: cavity.diameter, depth: cavity.depth },
+        tsunami,
+        tsunamiHeight: tsunami.sourceAmplitude
+    };
+}
+
+// Helper functions
+
+// Strength-gravity transition (Holsapple 1993): 1 for a strengthless or gravity-dominated target
+function calculateStrengthFactor(projectileRadius, velocity, targetDensity, targetStrength, gravity) {
+    if (!(targetStrength > 0)) return 1;
+    const pi2 = gravity * projectileRadius / (velocity * velocity);
+    const pi3 = targetStrength / (targetDensity * velocity * velocity);
+    return Math.pow(1 + Math.pow(pi3, (2 + SCALING_MU) / 2) / pi2, -SCALING_MU / (2 + SCALING_MU));
+}
+
+// Overpressure (kPa) behind a shock of overpressure dp (kPa) reflected normally off a rigid surface
+function reflectedOverpressure(dp) {
+    return 2 * dp + (AIR_GAMMA + 1) * dp * dp / ((AIR_GAMMA - 1) * dp + 2 * AIR_GAMMA * AMBIENT_PRESSURE);
+}
+
+// Distance (m) at which a curve that falls off with distance (overpressure, fluence) drops to the target
+function solveRadius(effectAt, target) {
+    // A high airburst may never reach the threshold at ground level
+    if (effectAt(0) <= target) return 0;
+    let lo = 0, hi = 1;
+    while (effectAt(hi) > target && hi < 1e8) hi *= 2;
+    for (let k = 0; k < 60; k++) {
+        const mid = (lo + hi) / 2;
+        if (effectAt(mid) > target) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
 // Export all functions
 export {
+    calculateYieldStrength,
     calculateAtmosphericEntry,
     calculateCraterDimensions,
+    calculateWaterCavity,
     calculateSeismicEffects,
+    calculateEffectiveMagnitude,
+    mercalliIntensity,
     calculateTsunamiEffects,
-    calculateAtmosphericEffects
+    calculateAtmosphericEffects,
+    solveThresholdRadii,
+    calculateAirburstDamage,
+    calculateImpactScenario,
+    DAMAGE_THRESHOLDS
 };
\ No newline at end of file
@@ -1,131 +1,169 @@
 // Mitigation Strategy Calculations
+// Every strategy is reduced to the velocity change (delta-v) it gives the asteroid; the delta-v
+// then drifts into a displacement at Earth over the warning time.
 
 // Constants
 const G = 6.67430e-11;  // Gravitational constant
-const EARTH_MASS = 5.972e24;  // kg
-const AU = 149597870700;  // meters
+const EARTH_RADIUS = 6371000;  // meters
 const YEAR_SECONDS = 31557600;  // seconds in a year
+const MEAN_MOTION = 2 * Math.PI / YEAR_SECONDS;  // rad/s of an Earth-crossing orbit near 1 AU
+const JOULES_PER_MEGATON = 4.184e15;
+const RADIATION_FRACTION = 0.7;  // Share of a standoff burst's yield in X-rays and neutrons that heat the surface
+const ABLATION_TEMPERATURE_RISE = 2000;  // K, heating before the surface layer vaporizes
+// Share of the deposited energy that ends up as kinetic energy of the blow-off; the rest heats and
+// vaporizes the layer. An even split gives the largest impulse, sqrt(E² / (2 x vaporization energy per kg)),
+// a few 1e-4 N s per joule for rock
+const BLOW_OFF_KINETIC_FRACTION = 0.5;
+const THRUST_STEPS = 200;  // Integration steps for a continuous push
 
 /**
  * Calculate kinetic impact deflection
- * @param {Object} asteroid - Asteroid parameters (mass, velocity, distance)
- * @param {Object} impactor - Impactor parameters (mass, velocity)
- * @returns {Object} New asteroid trajectory
+ * The impactor's momentum is delivered along track and amplified by the ejecta thrown back
+ * off the surface: delta-v = beta * m * u / (M + m). beta = 1 is a perfectly inelastic hit;
+ * DART measured about 3.6 on Dimorphos.
+ * @param {Object} asteroid - { mass (kg) }
+ * @param {Object} impactor - { mass (kg), velocity (speed relative to the asteroid, m/s), beta }
+ * @returns {Object} { deltaV (m/s), momentum (kg m/s delivered, ejecta included) }
  */
 function calculateKineticImpact(asteroid, impactor) {
-    // Conservation of momentum
-    const combinedMass = asteroid.mass + impactor.mass;
-    const newVelocity = {
-        x: (asteroid.mass * asteroid.velocity.x + impactor.mass * impactor.velocity.x) / combinedMass,
-        y: (asteroid.mass * asteroid.velocity.y + impactor.mass * impactor.velocity.y) / combinedMass,
-        z: (asteroid.mass * asteroid.velocity.z + impactor.mass * impactor.velocity.z) / combinedMass
-    };
-    
+    const beta = impactor.beta > 0 ? impactor.beta : 1;
+    const momentum = beta * impactor.mass * impactor.velocity;
     return {
-        velocity: newVelocity,
-        deflectionAngle: calculateDeflectionAngle(asteroid.velocity, newVelocity),
-        missDistance: calculateNewMissDistance(asteroid, newVelocity)
+        deltaV: momentum / (asteroid.mass + impactor.mass),
+        momentum
     };
 }
 
 /**
  * Calculate gravity tractor effect
- * @param {Object} asteroid - Asteroid parameters
- * @param {Object} tractor - Spacecraft parameters
- * @param {number} duration - Duration in seconds
- * @returns {Object} Deflection results
+ * The spacecraft hovers above the surface, its thrusters balancing the mutual gravitational
+ * pull, so the asteroid is towed by that pull for as long as the spacecraft holds station.
+ * @param {Object} asteroid - { mass (kg), radius (m) }
+ * @param {Object} tractor - { mass (kg), hoverDistance (m above the surface) }
+ * @param {number} duration - Hover time in seconds
+ * @returns {Object} { deltaV (m/s), thrust (N the spacecraft must sustain), acceleration (m/s²), duration (s) }
  */
 function calculateGravityTractor(asteroid, tractor, duration) {
-    // Force between asteroid and tractor
-    const distance = tractor.hoverDistance;
-    const force = (G * asteroid.mass * tractor.mass) / (distance * distance);
-    
-    // Acceleration imparted to asteroid
-    const acceleration = force / asteroid.mass;
-    
-    // Total velocity change
-    const deltaV = acceleration * duration;
-    
-    // Calculate new trajectory
-    const deflectionDistance = 0.5 * acceleration * duration * duration;
-    
+    const distance = asteroid.radius + tractor.hoverDistance;
+    const thrust = (G * asteroid.mass * tractor.mass) / (distance * distance);
+    const acceleration = thrust / asteroid.mass;
+
     return {
-        deltaV,
-        deflectionDistance,
-        requiredHoverTime: calculateRequiredHoverTime(asteroid, deltaV)
+        deltaV: acceleration * duration,
+        thrust,
+        acceleration,
+        duration
     };
 }
 
 /**
  * Calculate nuclear standoff deflection
- * @param {Object} asteroid - Asteroid parameters
+ * Radiation from a burst above the surface vaporizes a thin layer of the hemisphere facing it.
+ * The deposited energy is split: part vaporizes the layer (mass m), the rest (E_k) drives the
+ * blow-off, which carries momentum sqrt(2 E_k m) away as the asteroid recoils from it.
+ * @param {Object} asteroid - { mass (kg), radius (m), material ('ice' or 'rock') }
  * @param {number} megatons - Nuclear yield in megatons TNT
- * @param {number} standoffDistance - Distance in meters
- * @returns {Object} Deflection results
+ * @param {number} standoffDistance - Burst height above the surface in meters
+ * @returns {Object} { deltaV (m/s), ablatedMass (kg), depositedEnergy (J) }
  */
 function calculateNuclearDeflection(asteroid, megatons, standoffDistance) {
-    // Convert megatons to joules
-    const energy = megatons * 4.184e15;
-    
-    // Calculate radiation coupling efficiency
-    const efficiency = calculateRadiationCoupling(standoffDistance, asteroid.radius);
-    
-    // Calculate momentum transfer
-    const ablatedMass = calculateAblatedMass(energy * efficiency, asteroid.material);
-    const exhaustVelocity = Math.sqrt(2 * energy * efficiency / ablatedMass);
-    const deltaV = ablatedMass * exhaustVelocity / asteroid.mass;
-    
+    const energy = megatons * JOULES_PER_MEGATON;
+    const depositedEnergy = energy * RADIATION_FRACTION * calculateRadiationCoupling(standoffDistance, asteroid.radius);
+    if (!(depositedEnergy > 0)) return { deltaV: 0, ablatedMass: 0, depositedEnergy: 0 };
+
+    const ablatedMass = calculateAblatedMass(depositedEnergy * (1 - BLOW_OFF_KINETIC_FRACTION), asteroid.material);
+    const exhaustVelocity = Math.sqrt(2 * depositedEnergy * BLOW_OFF_KINETIC_FRACTION / ablatedMass);
+
     return {
-        deltaV,
+        deltaV: ablatedMass * exhaustVelocity / asteroid.mass,
         ablatedMass,
-        deflectionDistance: calculateDeflectionDistance(deltaV, asteroid.timeToImpact)
+        depositedEnergy
     };
 }
 
-// Helper functions
+/**
+ * Displacement at Earth produced by an along-track delta-v
+ * Uses the linearized relative motion about a near-circular orbit: a push changes the orbital
+ * period, so the asteroid drifts ahead of or behind its old position by about delta-v x t for
+ * short warnings and 3 x delta-v x t once the warning spans a few orbits. A continuous push
+ * (thrustDuration > 0) starts leadTime before impact and spreads the delta-v evenly over its span.
+ * @param {number} deltaV - Total velocity change (m/s)
+ * @param {number} leadTime - Time between the start of the push and the predicted impact (s)
+ * @param {number} thrustDuration - Length of a continuous push (s), 0 for an impulse
+ * @returns {number} Displacement in meters
+ */
+function deflectionAtEarth(deltaV, leadTime, thrustDuration = 0) {
+    if (!(deltaV > 0) || !(leadTime > 0)) return 0;
 
-function calculateDeflectionAngle(v1, v2) {
-    const dot = v1.x * v2.x + v1.y * v2.y + v1.z * v2.z;
-    const mag1 = Math.sqrt(v1.x * v1.x + v1.y * v1.y + v1.z * v1.z);
-    const mag2 = Math.sqrt(v2.x * v2.x + v2.y * v2.y + v2.z * v2.z);
-    return Math.acos(dot / (mag1 * mag2)) * 180 / Math.PI;
+    const span = Math.min(Math.max(0, thrustDuration), leadTime);
+    if (span === 0) {
+        const { radial, alongTrack } = driftResponse(leadTime);
+        return deltaV * Math.hypot(radial, alongTrack);
+    }
+
+    let radial = 0, alongTrack = 0;
+    for (let i = 0; i < THRUST_STEPS; i++) {
+        const response = driftResponse(leadTime - span * (i + 0.5) / THRUST_STEPS);
+        radial += response.radial / THRUST_STEPS;
+        alongTrack += response.alongTrack / THRUST_STEPS;
+    }
+    return deltaV * Math.hypot(radial, alongTrack);
 }
 
-function calculateNewMissDistance(asteroid, newVelocity) {
-    const speed = Math.sqrt(
-        newVelocity.x * newVelocity.x + 
-        newVelocity.y * newVelocity.y + 
-        newVelocity.z * newVelocity.z
-    );
-    
-    const angle = calculateDeflectionAngle(asteroid.velocity, newVelocity);
-    return asteroid.distance * Math.tan(angle * Math.PI / 180);
+/**
+ * Judge a deflection against the size of Earth
+ * The undeflected path is taken to run through Earth's center (the worst case), so the miss
+ * distance is the displacement itself. Success needs it to clear one Earth radius plus the margin;
+ * a path that clears Earth but not the margin is a near miss, and anything less still hits,
+ * displaced by the miss distance.
+ * @param {number} displacement - Result of deflectionAtEarth (m)
+ * @param {number} marginRadii - Safety margin beyond the surface, in Earth radii
+ * @returns {Object} { missDistance (m), requiredMissDistance (m), outcome ('deflected', 'near-miss' or 'impact'), success }
+ */
+function assessDeflection(displacement, marginRadii = 0) {
+    const missDistance = Math.max(0, displacement || 0);
+    const requiredMissDistance = EARTH_RADIUS * (1 + Math.max(0, marginRadii || 0));
+    const outcome = missDistance >= requiredMissDistance ? 'deflected' : missDistance >= EARTH_RADIUS ? 'near-miss' : 'impact';
+    return {
+        missDistance,
+        requiredMissDistance,
+        outcome,
+        success: outcome === 'deflected'
+    };
 }
 
-function calculateRequiredHoverTime(asteroid, deltaV) {
-    const escape_velocity = Math.sqrt(2 * G * asteroid.mass / (asteroid.radius * asteroid.radius));
-    return (deltaV / escape_velocity) * asteroid.timeToImpact;
+// Helper functions
+
+// Relative position per unit along-track delta-v applied t seconds before impact
+// (Clohessy-Wiltshire solution for a circular orbit at MEAN_MOTION)
+function driftResponse(t) {
+    const n = MEAN_MOTION;
+    return {
+        radial: 2 * (1 - Math.cos(n * t)) / n,
+        alongTrack: 3 * t - 4 * Math.sin(n * t) / n
+    };
 }
 
+// Fraction of an isotropic burst intercepted by a sphere of the given radius from the given height
 function calculateRadiationCoupling(distance, radius) {
-    const solidAngle = Math.PI * radius * radius / (4 * Math.PI * distance * distance);
-    return Math.min(0.7 * solidAngle, 0.7); // Max 70% coupling efficiency
+    if (!(radius > 0)) return 0;
+    const sinHalfAngle = radius / (radius + Math.max(0, distance));
+    return (1 - Math.sqrt(1 - sinHalfAngle * sinHalfAngle)) / 2;
 }
 
 function calculateAblatedMass(energy, material) {
     // Simplified calculation based on material properties
     const specificHeat = material === 'ice' ? 2000 : 1000; // J/kg/K
     const vaporization = material === 'ice' ? 2.3e6 : 8e6; // J/kg
-    return energy / (specificHeat * 2000 + vaporization); // Assume 2000K temperature rise
-}
-
-function calculateDeflectionDistance(deltaV, timeToImpact) {
-    return deltaV * timeToImpact;
+    return energy / (specificHeat * ABLATION_TEMPERATURE_RISE + vaporization);
 }
 
 // Export functions
 export {
     calculateKineticImpact,
     calculateGravityTractor,
-    calculateNuclearDeflection
-};
\ No newline at end of file
+    calculateNuclearDeflection,
+    deflectionAtEarth,
+    assessDeflection,
+    EARTH_RADIUS
+};
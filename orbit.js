@@ -0,0 +1,459 @@
+// Orbital Mechanics and Impact Geometry
+
+// Constants
+const GAUSS_K = 0.01720209895;  // Gaussian gravitational constant (rad/day, AU^1.5)
+const AU_KM = 149597870.7;  // kilometers per AU
+const AU_PER_DAY_TO_KMS = AU_KM / 86400;  // AU/day -> km/s
+const EARTH_RADIUS_KM = 6371;
+const EARTH_MU = 398600.4418;  // Earth's GM in km³/s²
+const EARTH_ESCAPE_VELOCITY = Math.sqrt(2 * EARTH_MU / EARTH_RADIUS_KM);  // ~11.19 km/s
+const J2000 = 2451545.0;  // Julian date of the J2000 epoch
+const OBLIQUITY = 23.43928 * Math.PI / 180;  // Ecliptic obliquity at J2000
+const DEG = Math.PI / 180;
+const PHASE_SCAN_STEPS = 720;  // Mean-anomaly grid searched for the point nearest Earth
+const HYPOTHETICAL_ENTRY_ANGLE = 45;  // deg, aim used to draw a track for a nominal miss
+
+// Default 1-sigma element uncertainties for corridor sampling (AU, unitless, degrees)
+const DEFAULT_ELEMENT_SIGMA = { a: 5e-8, e: 5e-7, i: 5e-5, node: 2e-4, peri: 2e-4, M: 5e-4 };
+const SAMPLE_WINDOW_DAYS = 3;  // Samples stay within a few days of the nominal encounter
+
+/**
+ * Convert a calendar date to a Julian date
+ * Accepts a Date, an ISO string, or a Sentry-style date with a fractional day ('2182-09-24.64')
+ */
+function dateToJulian(date) {
+    if (typeof date === 'string') {
+        const m = date.match(/^(\d{4})-(\d{2})-(\d{2})(\.\d+)?$/);
+        if (m) {
+            const ms = Date.UTC(+m[1], +m[2] - 1, +m[3]) + parseFloat(m[4] || 0) * 86400000;
+            return ms / 86400000 + 2440587.5;
+        }
+        date = new Date(date);
+    }
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Propagate Keplerian elements to a given time (two-body, heliocentric ecliptic J2000)
+ * @param {Object} elements - { a (AU), e, i, node, peri, M (deg), epoch (JD) }
+ * @param {number} jd - Julian date
+ * @returns {Object} { position: [x, y, z] in AU, velocity: [vx, vy, vz] in AU/day }
+ */
+function propagateOrbit(elements, jd) {
+    const { a, e } = elements;
+    const n = GAUSS_K / Math.pow(a, 1.5);  // mean motion, rad/day
+    const M = normalizeAngle(elements.M * DEG + n * (jd - elements.epoch));
+    const E = solveKepler(M, e);
+
+    // Position and velocity in the orbital plane (x toward perihelion)
+    const cosE = Math.cos(E), sinE = Math.sin(E);
+    const b = a * Math.sqrt(1 - e * e);
+    const xOrb = a * (cosE - e);
+    const yOrb = b * sinE;
+    const Edot = n / (1 - e * cosE);
+    const vxOrb = -a * sinE * Edot;
+    const vyOrb = b * cosE * Edot;
+
+    return {
+        position: rotateToEcliptic(xOrb, yOrb, elements),
+        velocity: rotateToEcliptic(vxOrb, vyOrb, elements)
+    };
+}
+
+/**
+ * Earth (Earth-Moon barycenter) state from the JPL approximate mean elements (Standish 1992)
+ */
+function getEarthState(jd) {
+    const T = (jd - J2000) / 36525;  // centuries since J2000
+    const a = 1.00000261 + 0.00000562 * T;
+    const e = 0.01671123 - 0.00004392 * T;
+    const i = -0.00001531 - 0.01294668 * T;
+    const L = 100.46457166 + 35999.37244981 * T;  // mean longitude
+    const varpi = 102.93768193 + 0.32327364 * T;  // longitude of perihelion
+    const node = 0;
+
+    return propagateOrbit({ a, e, i, node, peri: varpi - node, M: L - varpi, epoch: jd }, jd);
+}
+
+/**
+ * Re-phase elements so the object reaches the point of its orbit nearest Earth on a known date
+ * Two-body propagation over years drifts along the orbit (and catalog anomalies are not always
+ * at the epoch they are listed with), while the orbit's shape and orientation hold up. The
+ * close-approach dates come from JPL's full integration, so the mean anomaly at epoch is solved
+ * for from that date instead of propagated from the catalog value.
+ * @param {Object} elements - Orbital elements (see propagateOrbit)
+ * @param {number} approachJD - Julian date of the expected close approach
+ * @returns {Object} The elements with M replaced (deg, still at elements.epoch)
+ */
+function phaseToApproach(elements, approachJD) {
+    const earth = getEarthState(approachJD).position;
+    const distanceAt = (M) => vectorLength(subtract(propagateOrbit({ ...elements, M, epoch: approachJD }, approachJD).position, earth));
+
+    let best = 0, bestDist = Infinity;
+    for (let k = 0; k < PHASE_SCAN_STEPS; k++) {
+        const M = 360 * k / PHASE_SCAN_STEPS;
+        const d = distanceAt(M);
+        if (d < bestDist) { bestDist = d; best = M; }
+    }
+
+    // Golden-section refinement within one grid step on each side
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = best - 360 / PHASE_SCAN_STEPS, hi = best + 360 / PHASE_SCAN_STEPS;
+    for (let k = 0; k < 40; k++) {
+        const m1 = hi - ratio * (hi - lo);
+        const m2 = lo + ratio * (hi - lo);
+        if (distanceAt(m1) < distanceAt(m2)) hi = m2; else lo = m1;
+    }
+
+    const n = GAUSS_K / Math.pow(elements.a, 1.5) / DEG;  // mean motion, deg/day
+    const M = (lo + hi) / 2 - n * (approachJD - elements.epoch);
+    return { ...elements, M: ((M % 360) + 360) % 360 };
+}
+
+/**
+ * Find the Earth encounter closest to a given date
+ * Scans ±windowDays in one-day steps, then refines with a golden-section search
+ * @returns {Object} { jd, distance (km), relPosition (km), relVelocity (km/s) }
+ */
+function findEncounter(elements, aroundJD, windowDays = 60) {
+    const distanceAt = (jd) => vectorLength(relativeState(elements, jd).position);
+
+    let bestJD = aroundJD;
+    let bestDist = Infinity;
+    for (let jd = aroundJD - windowDays; jd <= aroundJD + windowDays; jd += 1) {
+        const d = distanceAt(jd);
+        if (d < bestDist) { bestDist = d; bestJD = jd; }
+    }
+
+    // Golden-section refinement inside the bracketing day on each side
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = bestJD - 1, hi = bestJD + 1;
+    for (let k = 0; k < 40; k++) {
+        const m1 = hi - ratio * (hi - lo);
+        const m2 = lo + ratio * (hi - lo);
+        if (distanceAt(m1) < distanceAt(m2)) hi = m2; else lo = m1;
+    }
+    const jd = (lo + hi) / 2;
+    const rel = relativeState(elements, jd);
+
+    return {
+        jd,
+        distance: vectorLength(rel.position) * AU_KM,
+        relPosition: scale(rel.position, AU_KM),
+        relVelocity: scale(rel.velocity, AU_PER_DAY_TO_KMS)
+    };
+}
+
+/**
+ * Calculate the impact geometry for an asteroid encounter
+ * The elements are first re-phased to the approach date (see phaseToApproach), then the
+ * hyperbolic approach (with gravitational focusing) is defined by the encounter's
+ * relative velocity and b-plane direction. The entry angle follows from the impact parameter:
+ * the propagated one when it is already inside Earth's capture radius, otherwise the distance of
+ * a known impact solution (a Sentry virtual impactor). Without either, Keplerian elements cannot
+ * resolve where the object would hit, so the entry point is drawn for a hypothetical 45° aim and
+ * no entry angle is returned.
+ * @param {Object} elements - Orbital elements (see propagateOrbit)
+ * @param {number} approachJD - Julian date of the expected close approach or virtual impact
+ * @param {number} impactDistance - Optional target-plane distance of the impact solution from
+ *                                  Earth's center (Earth radii, Sentry's VI dist)
+ * @returns {Object} Entry speed (km/s), entry angle (deg above horizontal, null when hypothetical),
+ *                   angleSource ('orbit', 'b-plane' or null), impact lat/lon, the Earth-fixed
+ *                   entry direction and encounter details
+ */
+function calculateImpactGeometry(elements, approachJD, windowDays = 60, impactDistance = null) {
+    const encounter = findEncounter(phaseToApproach(elements, approachJD), approachJD, windowDays);
+    const plane = bPlane(encounter);
+    const isImpactor = plane.b < plane.captureRadius;
+    const hasImpactSolution = !isImpactor && Number.isFinite(impactDistance) && impactDistance >= 0;
+    const aim = isImpactor ? plane.B
+        : hasImpactSolution ? scale(plane.bHat, Math.min(impactDistance * EARTH_RADIUS_KM, plane.captureRadius))
+        : scale(plane.bHat, plane.captureRadius * Math.cos(HYPOTHETICAL_ENTRY_ANGLE * DEG));
+    const entry = entryPoint(plane, aim, encounter.jd);
+    const angleSource = isImpactor ? 'orbit' : hasImpactSolution ? 'b-plane' : null;
+
+    return {
+        encounterJD: encounter.jd,
+        missDistance: encounter.distance,
+        vInfinity: plane.vInfinity,
+        entrySpeed: plane.entrySpeed,
+        entryAngle: angleSource ? entry.entryAngle : null,
+        angleSource,
+        isImpactor,
+        lat: entry.lat,
+        lon: entry.lon,
+        entryDirection: entry.direction  // unit vector the body travels along at entry
+    };
+}
+
+/**
+ * Calculate the ground corridor of possible impact points from orbit uncertainty
+ * Monte Carlo samples of the re-phased elements (independent Gaussians, i.e. a diagonal covariance) are
+ * propagated to the encounter and their b-plane offsets from the nominal are measured. The
+ * principal axis of that scatter is the line of variations; the corridor is where the line,
+ * taken through the nominal aim point used by calculateImpactGeometry, lies inside Earth's
+ * capture radius. Encounter time shifts along the line rotate Earth beneath the corridor.
+ * Hits are counted from each sample's own b-plane offset, so for a nominal miss the corridor is
+ * only the track the object would follow if it were an impactor, and hitFraction is usually 0.
+ * @param {Object} elements - Orbital elements (see propagateOrbit)
+ * @param {number} approachJD - Julian date of the expected close approach or virtual impact
+ * @param {Object} options - { samples, sigma (1-sigma per element, same units as elements), seed, steps }
+ * @returns {Object|null} { centerline: [{ lat, lon, entryAngle }], edges: [[{ lat, lon }], [{ lat, lon }]],
+ *                          spread: { along, across } in km, hitFraction, isImpactor } or null if no sample crosses Earth
+ */
+function calculateRiskCorridor(elements, approachJD, options = {}) {
+    const samples = options.samples || 200;
+    const sigma = { ...DEFAULT_ELEMENT_SIGMA, ...options.sigma };
+    const steps = options.steps || 60;
+    const gaussian = gaussianSampler(options.seed || 1);
+
+    const phased = phaseToApproach(elements, approachJD);
+    const encounter = findEncounter(phased, approachJD, options.windowDays || 60);
+    const nominal = bPlane(encounter);
+    const isImpactor = nominal.b < nominal.captureRadius;
+    const aim = isImpactor
+        ? nominal.B
+        : scale(nominal.bHat, nominal.captureRadius * Math.cos(HYPOTHETICAL_ENTRY_ANGLE * DEG));
+
+    // In-plane axes of the nominal b-plane
+    const p1 = perpendicular(nominal.u);
+    const p2 = cross(nominal.u, p1);
+
+    const offsets = [];
+    let hits = 0;
+    for (let k = 0; k < samples; k++) {
+        const sample = { ...phased };
+        Object.keys(sigma).forEach(key => { sample[key] += gaussian() * sigma[key]; });
+        if (!(sample.a > 0) || !(sample.e >= 0 && sample.e < 1)) continue;
+
+        const sampleEncounter = findEncounter(sample, encounter.jd, SAMPLE_WINDOW_DAYS);
+        const sampleB = bPlane(sampleEncounter).B;
+        const dB = subtract(sampleB, nominal.B);
+        const offset = { x: dot(dB, p1), y: dot(dB, p2), dt: sampleEncounter.jd - encounter.jd };
+        offsets.push(offset);
+        if (vectorLength(sampleB) < nominal.captureRadius) hits++;
+    }
+    if (offsets.length < 3) return null;
+
+    // Principal axes of the scatter, plus the encounter-time drift along the major axis
+    const n = offsets.length;
+    const mean = offsets.reduce((m, o) => ({ x: m.x + o.x / n, y: m.y + o.y / n, dt: m.dt + o.dt / n }), { x: 0, y: 0, dt: 0 });
+    let cxx = 0, cyy = 0, cxy = 0;
+    offsets.forEach(o => {
+        cxx += (o.x - mean.x) ** 2 / n;
+        cyy += (o.y - mean.y) ** 2 / n;
+        cxy += (o.x - mean.x) * (o.y - mean.y) / n;
+    });
+    const theta = 0.5 * Math.atan2(2 * cxy, cxx - cyy);
+    const major = add(scale(p1, Math.cos(theta)), scale(p2, Math.sin(theta)));
+    const minor = cross(nominal.u, major);
+    const spread = Math.sqrt((cxx + cyy) / 2 + Math.sqrt(((cxx - cyy) / 2) ** 2 + cxy * cxy));
+    const across = Math.sqrt(Math.max(0, (cxx + cyy) / 2 - Math.sqrt(((cxx - cyy) / 2) ** 2 + cxy * cxy)));
+
+    let tCov = 0;
+    offsets.forEach(o => {
+        const t = (o.x - mean.x) * Math.cos(theta) + (o.y - mean.y) * Math.sin(theta);
+        tCov += t * (o.dt - mean.dt) / n;
+    });
+    const drift = spread > 0 ? tCov / (spread * spread) : 0;  // days per km along the line
+
+    const center = add(aim, add(scale(p1, mean.x), scale(p2, mean.y)));
+    // Walk ±3 sigma along the line of variations, but never further than the capture disk
+    const reach = Math.min(3 * spread, 2 * nominal.captureRadius);
+    const trace = (sideOffset) => {
+        const points = [];
+        for (let k = 0; k <= steps; k++) {
+            const t = -reach + 2 * reach * k / steps;
+            const b = add(center, add(scale(major, t), scale(minor, sideOffset)));
+            if (vectorLength(b) >= nominal.captureRadius) continue;
+            const entry = entryPoint(nominal, b, encounter.jd + mean.dt + drift * t);
+            points.push({ lat: entry.lat, lon: entry.lon, entryAngle: entry.entryAngle });
+        }
+        return points;
+    };
+
+    const centerline = trace(0);
+    if (centerline.length < 2) return null;
+    return {
+        centerline,
+        edges: [trace(-2 * across), trace(2 * across)].map(edge => edge.map(({ lat, lon }) => ({ lat, lon }))),
+        spread: { along: spread, across },
+        hitFraction: hits / offsets.length,
+        isImpactor
+    };
+}
+
+/**
+ * Point on the straight-line approach path, a given distance back from the impact point
+ * @returns {Object} { lat, lon, altitude } with altitude in Earth radii above the surface
+ */
+function approachPathPoint(geometry, distanceEarthRadii) {
+    const surface = latLonToUnit(geometry.lat, geometry.lon);
+    const p = subtract(surface, scale(geometry.entryDirection, distanceEarthRadii));
+    const r = vectorLength(p);
+    return {
+        lat: Math.asin(p[2] / r) / DEG,
+        lon: normalizeLongitude(Math.atan2(p[1], p[0]) / DEG),
+        altitude: r - 1
+    };
+}
+
+// Helper functions
+
+function solveKepler(M, e) {
+    let E = e < 0.8 ? M : Math.PI;
+    for (let k = 0; k < 50; k++) {
+        const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < 1e-12) break;
+    }
+    return E;
+}
+
+function rotateToEcliptic(x, y, elements) {
+    const O = elements.node * DEG, w = elements.peri * DEG, i = elements.i * DEG;
+    const cosO = Math.cos(O), sinO = Math.sin(O);
+    const cosw = Math.cos(w), sinw = Math.sin(w);
+    const cosi = Math.cos(i), sini = Math.sin(i);
+    return [
+        (cosO * cosw - sinO * sinw * cosi) * x + (-cosO * sinw - sinO * cosw * cosi) * y,
+        (sinO * cosw + cosO * sinw * cosi) * x + (-sinO * sinw + cosO * cosw * cosi) * y,
+        (sinw * sini) * x + (cosw * sini) * y
+    ];
+}
+
+function relativeState(elements, jd) {
+    const ast = propagateOrbit(elements, jd);
+    const earth = getEarthState(jd);
+    return {
+        position: subtract(ast.position, earth.position),
+        velocity: subtract(ast.velocity, earth.velocity)
+    };
+}
+
+// b-plane of an encounter: offset of the incoming asymptote from Earth's center, perpendicular to v_rel
+function bPlane(encounter) {
+    const vInfinity = vectorLength(encounter.relVelocity);
+    const entrySpeed = Math.sqrt(vInfinity * vInfinity + EARTH_ESCAPE_VELOCITY * EARTH_ESCAPE_VELOCITY);
+    const u = scale(encounter.relVelocity, 1 / vInfinity);
+    const B = subtract(encounter.relPosition, scale(u, dot(encounter.relPosition, u)));
+    const b = vectorLength(B);
+    return {
+        u,
+        B,
+        b,
+        bHat: b < 1e-9 ? perpendicular(u) : scale(B, 1 / b),
+        vInfinity,
+        entrySpeed,
+        // Capture radius: largest impact parameter that still hits Earth
+        captureRadius: EARTH_RADIUS_KM * entrySpeed / vInfinity
+    };
+}
+
+// Atmospheric entry point and direction for a given b-plane aim point (km vector) at time jd
+function entryPoint(plane, aim, jd) {
+    const b = vectorLength(aim);
+    const bHat = b < 1e-9 ? plane.bHat : scale(aim, 1 / b);
+    // Angular momentum conservation gives cos(entry angle) = b / captureRadius
+    const entryAngle = Math.acos(Math.min(1, b / plane.captureRadius)) / DEG;
+    const { point, direction } = hyperbolicEntry(plane.u, bHat, plane.vInfinity, b);
+
+    // Ecliptic -> equatorial -> Earth-fixed (rotate by Greenwich sidereal time)
+    const gmst = greenwichSiderealTime(jd);
+    const pointFixed = toEarthFixed(point, gmst);
+    return {
+        entryAngle,
+        lat: Math.asin(pointFixed[2]) / DEG,
+        lon: normalizeLongitude(Math.atan2(pointFixed[1], pointFixed[0]) / DEG),
+        direction: toEarthFixed(direction, gmst)
+    };
+}
+
+// Seeded Gaussian generator (mulberry32 + Box-Muller) so a corridor redraws identically
+function gaussianSampler(seed) {
+    let state = seed >>> 0;
+    const uniform = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+// Geocentric hyperbola with incoming direction u and b-plane offset bHat*b, evaluated at r = Earth radius
+function hyperbolicEntry(u, bHat, vInfinity, b) {
+    if (b < 1e-6) {
+        // Head-on: the body comes straight down from the radiant
+        return { point: scale(u, -1), direction: u };
+    }
+
+    const h = b * vInfinity;  // specific angular momentum
+    const p = h * h / EARTH_MU;  // semi-latus rectum
+    const ecc = Math.sqrt(1 + Math.pow(b * vInfinity * vInfinity / EARTH_MU, 2));
+    const nuInf = Math.acos(-1 / ecc);  // true anomaly of the asymptote
+
+    // Perifocal axes expressed in the (u, bHat) plane
+    const P = add(scale(u, -Math.cos(nuInf)), scale(bHat, Math.sin(nuInf)));
+    const Q = add(scale(u, Math.sin(nuInf)), scale(bHat, Math.cos(nuInf)));
+
+    // Incoming branch, where r first drops to Earth's radius
+    const cosNu = Math.max(-1, Math.min(1, (p / EARTH_RADIUS_KM - 1) / ecc));
+    const nu = -Math.acos(cosNu);
+    const point = add(scale(P, Math.cos(nu)), scale(Q, Math.sin(nu)));
+    const velocity = add(scale(P, -Math.sin(nu)), scale(Q, ecc + Math.cos(nu)));
+    return { point, direction: scale(velocity, 1 / vectorLength(velocity)) };
+}
+
+function greenwichSiderealTime(jd) {
+    return normalizeAngle((280.46061837 + 360.98564736629 * (jd - J2000)) * DEG);
+}
+
+function toEarthFixed(v, gmst) {
+    // Ecliptic -> equatorial (rotate about x by the obliquity)
+    const cosE = Math.cos(OBLIQUITY), sinE = Math.sin(OBLIQUITY);
+    const eq = [v[0], cosE * v[1] - sinE * v[2], sinE * v[1] + cosE * v[2]];
+    // Equatorial inertial -> Earth-fixed (rotate about z by -GMST)
+    const cosG = Math.cos(gmst), sinG = Math.sin(gmst);
+    return [cosG * eq[0] + sinG * eq[1], -sinG * eq[0] + cosG * eq[1], eq[2]];
+}
+
+function latLonToUnit(lat, lon) {
+    const la = lat * DEG, lo = lon * DEG;
+    return [Math.cos(la) * Math.cos(lo), Math.cos(la) * Math.sin(lo), Math.sin(la)];
+}
+
+function perpendicular(u) {
+    const axis = Math.abs(u[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+    const c = cross(u, axis);
+    return scale(c, 1 / vectorLength(c));
+}
+
+function normalizeAngle(rad) {
+    const twoPi = 2 * Math.PI;
+    return ((rad % twoPi) + twoPi) % twoPi;
+}
+
+function normalizeLongitude(deg) {
+    return ((deg + 540) % 360) - 180;
+}
+
+function add(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+function subtract(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+function scale(a, s) { return [a[0] * s, a[1] * s, a[2] * s]; }
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function cross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+function vectorLength(a) { return Math.sqrt(dot(a, a)); }
+
+// Export functions
+export {
+    dateToJulian,
+    propagateOrbit,
+    getEarthState,
+    phaseToApproach,
+    findEncounter,
+    calculateImpactGeometry,
+    calculateRiskCorridor,
+    approachPathPoint
+};
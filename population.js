@@ -0,0 +1,86 @@
+// Population Exposure from a Gridded Population Dataset
+import { destinationPoint, EARTH_RADIUS_KM } from './geodesy.js';
+
+// Constants
+const DENSITY_LOG_STEP = 40;  // Cell byte v encodes a density of 10^(v / 40) - 1 people/km²
+const MAX_RINGS = 400;  // Caps on the polar sampling of large zones
+const MAX_SECTORS = 720;
+
+/**
+ * Build a population grid from its JSON header and the raw cell bytes
+ * @param {Object} header - Parsed data/population-grid.json ({ dataset, resolution, north, west, cols, rows })
+ * @param {ArrayBuffer} buffer - Contents of the binary cell file, one byte per cell, row-major from the north-west
+ * @returns {Object} The header fields plus a density table and the cells, or null if the sizes disagree
+ */
+function createPopulationGrid(header, buffer) {
+    const cells = new Uint8Array(buffer);
+    if (!header || cells.length !== header.cols * header.rows) return null;
+
+    const densities = new Float64Array(256);
+    for (let v = 1; v < 256; v++) densities[v] = Math.pow(10, v / DENSITY_LOG_STEP) - 1;
+    return { ...header, densities, cells };
+}
+
+/**
+ * Population density at a point
+ * @returns {number} People per km²
+ */
+function populationDensityAt(grid, lat, lon) {
+    const row = Math.max(0, Math.min(grid.rows - 1, Math.floor((grid.north - lat) / grid.resolution)));
+    const wrapped = ((lon - grid.west) % 360 + 360) % 360;
+    const col = Math.min(grid.cols - 1, Math.floor(wrapped / grid.resolution));
+    return grid.densities[grid.cells[row * grid.cols + col]];
+}
+
+/**
+ * Integrate the grid over a circular zone on the sphere
+ * The disc is sampled on polar rings finer than the grid cells (and than the zone itself, so a
+ * zone smaller than one cell takes that cell's density times its own area).
+ * @param {Object} grid - From createPopulationGrid
+ * @param {number} lat - Zone center latitude (deg)
+ * @param {number} lon - Zone center longitude (deg)
+ * @param {number} radiusKm - Great-circle radius (km)
+ * @param {number} innerRadiusKm - Optional inner radius (km) to integrate an annulus instead
+ * @returns {number} People within the zone
+ */
+function estimatePopulationInZone(grid, lat, lon, radiusKm, innerRadiusKm = 0) {
+    let population = 0;
+    forEachPopulationSample(grid, lat, lon, radiusKm, innerRadiusKm, (point, people) => { population += people; });
+    return Math.round(population);
+}
+
+/**
+ * Visit the sample points of a zone with the number of people each stands for
+ * Same sampling as estimatePopulationInZone, for callers that need to know where the people are.
+ * @param {Function} visit - Called as visit({ lat, lon }, people) for every populated sample
+ */
+function forEachPopulationSample(grid, lat, lon, radiusKm, innerRadiusKm, visit) {
+    if (!grid || !(radiusKm > innerRadiusKm)) return;
+
+    const cellKm = grid.resolution * Math.PI / 180 * EARTH_RADIUS_KM;
+    const step = Math.max((radiusKm - innerRadiusKm) / MAX_RINGS, Math.min(cellKm / 3, (radiusKm - innerRadiusKm) / 8));
+    const rings = Math.ceil((radiusKm - innerRadiusKm) / step);
+    const ringWidth = (radiusKm - innerRadiusKm) / rings;
+
+    for (let i = 0; i < rings; i++) {
+        const r0 = innerRadiusKm + i * ringWidth;
+        const r1 = r0 + ringWidth;
+        const ringArea = 2 * Math.PI * EARTH_RADIUS_KM * EARTH_RADIUS_KM *
+            (Math.cos(r0 / EARTH_RADIUS_KM) - Math.cos(r1 / EARTH_RADIUS_KM));
+        const sectors = Math.min(MAX_SECTORS, Math.max(8, Math.ceil(2 * Math.PI * r1 / step)));
+
+        for (let j = 0; j < sectors; j++) {
+            const point = destinationPoint(lat, lon, (r0 + r1) / 2, 2 * Math.PI * (j + 0.5) / sectors);
+            const density = populationDensityAt(grid, point.lat, point.lon);
+            if (density > 0) visit(point, density * ringArea / sectors);
+        }
+    }
+}
+
+// Export functions
+export {
+    createPopulationGrid,
+    populationDensityAt,
+    estimatePopulationInZone,
+    forEachPopulationSample
+};
@@ -0,0 +1,101 @@
+// Impact Hazard Scale Calculations (Palermo and Torino)
+
+// Constants
+const JOULES_PER_MEGATON = 4.184e15;  // 1 Mt TNT in joules
+const TORINO_HORIZON_YEARS = 100;  // Torino values are only assigned to events within the next century
+
+// Torino chart (Binzel 2000, revised 2005) approximated as straight lines in
+// log10(collision probability) vs log10(kinetic energy in Mt)
+const TORINO_LOCAL_ENERGY = 1;  // Mt: below this the object is stopped by the atmosphere
+const TORINO_REGIONAL_ENERGY = 1e2;  // Mt: regional devastation
+const TORINO_GLOBAL_ENERGY = 1e5;  // Mt: global catastrophe
+const TORINO_ATTENTION_PROBABILITY = 1e-2;  // 1% chance of collision
+const TORINO_CERTAIN_PROBABILITY = 0.99;  // collision certain
+
+const TORINO_CATEGORIES = [
+    { level: 0, band: 'white', color: '#ffffff', title: 'No Hazard', description: 'The likelihood of collision is zero or so low as to be effectively zero, or the object would burn up in the atmosphere.' },
+    { level: 1, band: 'green', color: '#4caf50', title: 'Normal', description: 'A routine discovery: a pass near Earth with no unusual level of danger. New observations will very likely lead to re-assignment to level 0.' },
+    { level: 2, band: 'yellow', color: '#ffeb3b', title: 'Meriting Attention by Astronomers', description: 'A somewhat close but not highly unusual pass. Collision is very unlikely; no cause for public concern.' },
+    { level: 3, band: 'yellow', color: '#ffeb3b', title: 'Meriting Attention by Astronomers', description: 'A close encounter with a 1% or greater chance of a collision capable of localized destruction.' },
+    { level: 4, band: 'yellow', color: '#ffeb3b', title: 'Meriting Attention by Astronomers', description: 'A close encounter with a 1% or greater chance of a collision capable of regional devastation.' },
+    { level: 5, band: 'orange', color: '#ff9800', title: 'Threatening', description: 'A close encounter posing a serious but still uncertain threat of regional devastation.' },
+    { level: 6, band: 'orange', color: '#ff9800', title: 'Threatening', description: 'A close encounter by a large object posing a serious but still uncertain threat of a global catastrophe.' },
+    { level: 7, band: 'orange', color: '#ff9800', title: 'Threatening', description: 'A very close encounter by a large object posing an unprecedented but still uncertain threat of a global catastrophe.' },
+    { level: 8, band: 'red', color: '#f44336', title: 'Certain Collision', description: 'A collision is certain, capable of localized destruction on land or a tsunami if close offshore.' },
+    { level: 9, band: 'red', color: '#f44336', title: 'Certain Collision', description: 'A collision is certain, capable of unprecedented regional devastation on land or a major tsunami.' },
+    { level: 10, band: 'red', color: '#f44336', title: 'Certain Collision', description: 'A collision is certain, capable of a global climatic catastrophe that may threaten civilization.' }
+];
+
+/**
+ * Annual background frequency of impacts at least as energetic as the given event
+ * fB = 0.03 * E^-0.8 per year (Chesley et al. 2002), E in megatons TNT
+ */
+function calculateBackgroundFrequency(energyMt) {
+    return 0.03 * Math.pow(energyMt, -0.8);
+}
+
+/**
+ * Calculate the Palermo Technical Impact Hazard Scale value
+ * PS = log10(p / (fB * T)): the event's risk relative to the background risk over the same warning time
+ * @param {number} probability - Impact probability (0-1)
+ * @param {number} energy - Impact kinetic energy in joules
+ * @param {number} yearsUntilImpact - Time until the potential impact in years
+ * @returns {number} Palermo value (negative = below background, 0 = background level)
+ */
+function calculatePalermoScale(probability, energy, yearsUntilImpact) {
+    if (!(probability > 0) || !(energy > 0)) return -Infinity;
+
+    const energyMt = energy / JOULES_PER_MEGATON;
+    // Avoid dividing by zero for an event that is (almost) here
+    const years = Math.max(yearsUntilImpact, 1 / 365.25);
+    return Math.log10(probability / (calculateBackgroundFrequency(energyMt) * years));
+}
+
+/**
+ * Calculate the Torino Impact Hazard Scale category
+ * @param {number} probability - Impact probability (0-1)
+ * @param {number} energy - Impact kinetic energy in joules
+ * @param {number} yearsUntilImpact - Time until the potential impact in years
+ * @returns {Object} Category with level, color band, title and description
+ */
+function calculateTorinoScale(probability, energy, yearsUntilImpact) {
+    return TORINO_CATEGORIES[calculateTorinoLevel(probability, energy, yearsUntilImpact)];
+}
+
+// Helper functions
+
+function calculateTorinoLevel(probability, energy, yearsUntilImpact) {
+    const energyMt = energy / JOULES_PER_MEGATON;
+    if (!(probability > 0) || energyMt < TORINO_LOCAL_ENERGY) return 0;
+    if (yearsUntilImpact > TORINO_HORIZON_YEARS) return 0;
+
+    if (probability >= TORINO_CERTAIN_PROBABILITY) {
+        if (energyMt < TORINO_REGIONAL_ENERGY) return 8;
+        if (energyMt < TORINO_GLOBAL_ENERGY) return 9;
+        return 10;
+    }
+
+    const logP = Math.log10(probability);
+    const logE = Math.log10(energyMt);
+
+    if (probability >= TORINO_ATTENTION_PROBABILITY) {
+        // Threatening region: higher probability pushes regional and global threats up a level
+        if (energyMt < TORINO_REGIONAL_ENERGY) return 3;
+        if (energyMt < TORINO_GLOBAL_ENERGY) return logP >= -1 ? 5 : 4;
+        return logP >= -1 ? 7 : 6;
+    }
+
+    // Below 1%: green/yellow boundary runs from (100 Mt, 1e-2) to (1e8 Mt, 1e-8),
+    // white/green boundary from (1 Mt, 1e-2) to (1e5 Mt, 1e-8)
+    if (logP >= -logE) return 2;
+    if (logP >= -2 - 1.2 * logE) return 1;
+    return 0;
+}
+
+// Export functions
+export {
+    calculateBackgroundFrequency,
+    calculatePalermoScale,
+    calculateTorinoScale,
+    TORINO_CATEGORIES
+};
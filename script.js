@@ -1,4 +1,17 @@
 // Use global UMD bundles: THREE and Globe (from globe.gl UMD build)
+// Calculation modules are ES modules, so this file is loaded with type="module"
+import { calculateImpactScenario, calculateTsunamiEffects, calculateEffectiveMagnitude, mercalliIntensity } from './impact-physics.js';
+import { calculatePalermoScale, calculateTorinoScale } from './risk-scale.js';
+import { dateToJulian, calculateImpactGeometry, calculateRiskCorridor, approachPathPoint } from './orbit.js';
+import { classifyTarget } from './target-material.js';
+import { calculateCoastalTsunami } from './tsunami.js';
+import { createPopulationGrid, estimatePopulationInZone } from './population.js';
+import { estimateCasualties } from './casualties.js';
+import { createAnchorLocator, createBoundaryLocator, estimateEconomicLoss, indirectLoss } from './economic-loss.js';
+import { createCountryIndex, countryAt, zoneCountryShares } from './countries.js';
+import { haversineKm, destinationPoint } from './geodesy.js';
+import { calculateKineticImpact, calculateGravityTractor, calculateNuclearDeflection, deflectionAtEarth, assessDeflection, EARTH_RADIUS } from './mitigation.js';
+
 // IIFE to avoid global scope pollution
 (async function() {
     // Utility function for debouncing resize events
@@ -20,89 +33,47 @@
     let globe;
     let lat = 0, lon = 0; // Default impact coordinates
     let impactMarker = null; // Track the current impact marker
+    // The points layer carries recent earthquakes and, if the 3D pin fails, the impact marker
+    let markerPoints = [];
+    let quakePoints = [];
 
     // --- Population / casualty estimation helpers ---
-    // Small sample of major cities with lat, lon, and approximate population (used for coarse casualty estimates)
-    const CITY_POPULATION_SAMPLES = [
-        { name: 'Tokyo', lat: 35.6895, lon: 139.6917, pop: 37400068 },
-        { name: 'Delhi', lat: 28.7041, lon: 77.1025, pop: 28514000 },
-        { name: 'Shanghai', lat: 31.2304, lon: 121.4737, pop: 25582000 },
-        { name: 'Sao Paulo', lat: -23.5505, lon: -46.6333, pop: 21650000 },
-        { name: 'Mexico City', lat: 19.4326, lon: -99.1332, pop: 21581000 },
-        { name: 'Cairo', lat: 30.0444, lon: 31.2357, pop: 20076000 },
-        { name: 'Mumbai', lat: 19.0760, lon: 72.8777, pop: 19980000 },
-        { name: 'Beijing', lat: 39.9042, lon: 116.4074, pop: 19618000 },
-        { name: 'Dhaka', lat: 23.8103, lon: 90.4125, pop: 19578000 },
-        { name: 'Osaka', lat: 34.6937, lon: 135.5023, pop: 19281000 },
-        { name: 'New York', lat: 40.7128, lon: -74.0060, pop: 18804000 },
-        { name: 'Karachi', lat: 24.8607, lon: 67.0011, pop: 15400000 },
-        { name: 'Buenos Aires', lat: -34.6037, lon: -58.3816, pop: 14967000 },
-        { name: 'Kolkata', lat: 22.5726, lon: 88.3639, pop: 14667000 },
-        { name: 'Istanbul', lat: 41.0082, lon: 28.9784, pop: 15030000 },
-        { name: 'Manila', lat: 14.5995, lon: 120.9842, pop: 13923452 },
-        { name: 'Lagos', lat: 6.5244, lon: 3.3792, pop: 13900000 },
-        { name: 'Rio de Janeiro', lat: -22.9068, lon: -43.1729, pop: 13293000 },
-        { name: 'Tianjin', lat: 39.3434, lon: 117.3616, pop: 13215000 },
-        { name: 'Kinshasa', lat: -4.4419, lon: 15.2663, pop: 13130000 }
+    // Major cities named in the shaking estimates alongside the coastal list (population comes from the gridded dataset)
+    const MAJOR_CITIES = [
+        { name: 'Tokyo', lat: 35.6895, lon: 139.6917 },
+        { name: 'Delhi', lat: 28.7041, lon: 77.1025 },
+        { name: 'Shanghai', lat: 31.2304, lon: 121.4737 },
+        { name: 'Sao Paulo', lat: -23.5505, lon: -46.6333 },
+        { name: 'Mexico City', lat: 19.4326, lon: -99.1332 },
+        { name: 'Cairo', lat: 30.0444, lon: 31.2357 },
+        { name: 'Mumbai', lat: 19.0760, lon: 72.8777 },
+        { name: 'Beijing', lat: 39.9042, lon: 116.4074 },
+        { name: 'Dhaka', lat: 23.8103, lon: 90.4125 },
+        { name: 'Osaka', lat: 34.6937, lon: 135.5023 },
+        { name: 'New York', lat: 40.7128, lon: -74.0060 },
+        { name: 'Karachi', lat: 24.8607, lon: 67.0011 },
+        { name: 'Buenos Aires', lat: -34.6037, lon: -58.3816 },
+        { name: 'Kolkata', lat: 22.5726, lon: 88.3639 },
+        { name: 'Istanbul', lat: 41.0082, lon: 28.9784 },
+        { name: 'Manila', lat: 14.5995, lon: 120.9842 },
+        { name: 'Lagos', lat: 6.5244, lon: 3.3792 },
+        { name: 'Rio de Janeiro', lat: -22.9068, lon: -43.1729 },
+        { name: 'Tianjin', lat: 39.3434, lon: 117.3616 },
+        { name: 'Kinshasa', lat: -4.4419, lon: 15.2663 }
     ];
 
-    // Basic haversine distance (km)
-    function haversineKm(lat1, lon1, lat2, lon2) {
-        const R = 6371; // km
-        const toRad = (d) => d * Math.PI / 180;
-        const dLat = toRad(lat2 - lat1);
-        const dLon = toRad(lon2 - lon1);
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon/2) * Math.sin(dLon/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c;
-    }
-
-    // Estimate population within a radius (km) using city samples plus a low background density for non-city areas
-    function estimatePopulationWithin(latC, lonC, radiusKm) {
-        // Sum populations of sample cities weighted by overlap (if city center lies within radius)
-        let pop = 0;
-        CITY_POPULATION_SAMPLES.forEach(city => {
-            const d = haversineKm(latC, lonC, city.lat, city.lon);
-            if (d <= radiusKm) pop += city.pop;
-            else if (d <= radiusKm * 2) pop += city.pop * 0.25; // partial influence
-        });
-        // Add coarse rural population estimate: area * average density (people per km^2)
-        const areaKm2 = Math.PI * Math.pow(radiusKm, 2);
-        // global average density ~58 people/km^2 but much of Earth's surface is water - use conservative 20
-        const backgroundDensity = 20; // people per km^2
-        const ruralPop = Math.max(0, areaKm2 * backgroundDensity - 50000); // subtract some to avoid double-counting
-        pop += Math.max(0, ruralPop);
-        return Math.round(pop);
-    }
-
-    // Estimate lives lost using coarse CFR (case-fatality ratio) by distance band (within crater, within severe blast, within shockwave)
-    function estimateLivesLost(population, impact) {
-        // Distribute population with severity bands: inside crater (most severe), inside blast radius (severe), inside shockwave (moderate)
-        const craterPop = Math.round(population * 0.25);
-        const blastPop = Math.round(population * 0.45);
-        const shockPop = Math.round(population * 0.30);
-
-        // CFR assumptions (very coarse): crater 90%, blast 30%, shock 5%
-        const craterDeaths = Math.round(craterPop * 0.9);
-        const blastDeaths = Math.round(blastPop * 0.3);
-        const shockDeaths = Math.round(shockPop * 0.05);
-
-        const totalDeaths = craterDeaths + blastDeaths + shockDeaths;
-        return {
-            totalDeaths,
-            breakdown: { craterDeaths, blastDeaths, shockDeaths }
-        };
+    // globe.gl ring radii and propagation speeds are in degrees of arc, not km
+    function kmToArcDegrees(km) {
+        return km / (6371 * Math.PI / 180);
     }
 
-    // Rough economic cost estimate based on population affected and impact energy
-    function estimateEconomicCost(population, impact) {
-        // Base per-person cost assumption for severe disasters: $20k per affected person
-        const perPerson = 20000;
-        const popCost = population * perPerson;
-        // Energy multiplier: scale cost by (impact.energy / 1e15) to reflect larger events
-        const energyFactor = Math.max(1, impact.energy / 1e15);
-        const cost = Math.round(popCost * energyFactor);
-        return cost;
+    // Closed ring of { lat, lon } points at a great-circle distance (km) around a center
+    function circleAround(lat, lon, radiusKm, segments = 120) {
+        const points = [];
+        for (let k = 0; k <= segments; k++) {
+            points.push(destinationPoint(lat, lon, radiusKm, 2 * Math.PI * k / segments));
+        }
+        return points;
     }
 
     // Format large numbers with SI-style suffixes
@@ -114,6 +85,42 @@
         return String(n);
     }
 
+    // " (USGS EPQS)" style suffix naming the data provider behind a value
+    function sourceNote(source) {
+        return source ? ` (${source.label})` : '';
+    }
+
+    // Casualty rows of the facts overlay, one per hazard (see casualties.js)
+    const CASUALTY_HAZARD_LABELS = [
+        ['crater', 'Crater'],
+        ['overpressure', 'Blast overpressure'],
+        ['thermal', 'Thermal burns'],
+        ['tsunami', 'Tsunami inundation']
+    ];
+
+    const MAX_LOSS_COUNTRIES = 5;
+    const MAX_RING_COUNTRIES = 3;  // Countries named per damage ring; the rest are counted
+    // Last overlay inputs, so a new recovery period can re-render it without re-running the impact
+    let lastImpactFacts = null;
+
+    function formatShare(share) {
+        return share < 0.01 ? '<1%' : Math.round(share * 100) + '%';
+    }
+
+    // "France 62%, Germany 30%, open water 8%" for one damage ring (see zoneCountryShares)
+    function describeRingCountries(ring) {
+        const parts = ring.countries.slice(0, MAX_RING_COUNTRIES).map(c => `${c.name} ${formatShare(c.share)}`);
+        const more = ring.countries.length - MAX_RING_COUNTRIES;
+        if (more > 0) parts.push(`${more} more`);
+        if (ring.water >= 0.005) parts.push(`open water ${formatShare(ring.water)}`);
+        return parts.join(', ');
+    }
+
+    function recoveryPeriodYears() {
+        const years = parseFloat(document.getElementById('recovery-years')?.value);
+        return isFinite(years) && years > 0 ? years : 5;
+    }
+
     // Create or update the impact facts overlay element
     function showImpactFacts(latC, lonC, impact) {
         let container = document.querySelector('.impact-facts');
@@ -129,24 +136,52 @@
 
         const blastKm = Math.round((impact.blastRadius || 0) / 1000);
         const craterM = Math.round(impact.craterDiameter || 0);
-        const pop = estimatePopulationWithin(latC, lonC, Math.max(blastKm, 10));
-        const casualties = estimateLivesLost(pop, impact);
-        const cost = estimateEconomicCost(pop, impact);
+        const isAirburst = impact.outcome === 'airburst';
+        const exposure = impact.exposure || { population: 0, dataset: null };
+        const pop = exposure.population;
+        const casualties = impact.casualties || { totalDeaths: 0, totalInjuries: 0, hazards: {} };
+        const loss = impact.economicLoss || { directLoss: 0, annualOutputLoss: 0, byCountry: [] };
+        const countryExposure = impact.countryExposure || { available: false, groundZero: null, rings: [] };
+        const recoveryYears = recoveryPeriodYears();
+        lastImpactFacts = { latC, lonC, impact };
 
         const factsEl = container.querySelector('.facts');
         factsEl.innerHTML = '';
         const rows = [
+            ['Target', impact.target ? `${impact.target.label} (${impact.target.density} kg/m³)` : 'unknown'],
+            ['Elevation', `${Math.round(impact.elevation || 0)} m` + sourceNote(impact.dataSources && impact.dataSources.elevation)],
             ['Impact Energy', (impact.energy >= 1e18 ? (impact.energy/1e18).toFixed(2)+' EJ' : (impact.energy>=1e15 ? (impact.energy/1e15).toFixed(2)+' PJ' : (impact.energy/1e12).toFixed(2)+' TJ'))],
-            ['Crater Diameter', craterM >= 1000 ? (craterM/1000).toFixed(1)+' km' : craterM+' m'],
+            isAirburst
+                ? ['Airburst Altitude', (impact.airburstAltitude / 1000).toFixed(1) + ' km (no crater)']
+                : ['Crater Diameter', craterM >= 1000 ? (craterM/1000).toFixed(1)+' km' : craterM+' m'],
             ['Blast Radius', blastKm + ' km'],
-            ['Population within blast', formatLargeNumber(pop)],
+            ['Ground zero', countryExposure.available ? (countryExposure.groundZero ? countryExposure.groundZero.name : 'Open water') : 'unavailable'],
+            // Every country each damage ring reaches, with its share of the ring's area
+            ...countryExposure.rings.map(ring => [`${ring.label} (${formatDistance(ring.radius)})`, describeRingCountries(ring), 'sub']),
+            ['Population within blast', exposure.dataset ? formatLargeNumber(pop) : 'unavailable'],
+            ['Population data', exposure.dataset || 'not loaded'],
             ['Estimated lives lost', formatLargeNumber(casualties.totalDeaths)],
-            ['Estimated cost', '$' + formatLargeNumber(cost)],
-            ['Seismic magnitude', (impact.seismicMagnitude||0).toFixed(2)],
+            ['Estimated injuries', formatLargeNumber(casualties.totalInjuries)],
+            ...CASUALTY_HAZARD_LABELS
+                .filter(([id]) => casualties.hazards[id] && (casualties.hazards[id].deaths > 0 || casualties.hazards[id].injuries > 0))
+                .map(([id, label]) => [label, `${formatLargeNumber(casualties.hazards[id].deaths)} dead, ${formatLargeNumber(casualties.hazards[id].injuries)} injured`, 'sub']),
+            ['Direct losses', '$' + formatLargeNumber(loss.directLoss)],
+            [`Indirect GDP loss (${recoveryYears} yr)`, '$' + formatLargeNumber(indirectLoss(loss, recoveryYears))],
+            // Per-country split once the footprint crosses a border
+            ...(loss.byCountry.length > 1 ? loss.byCountry.slice(0, MAX_LOSS_COUNTRIES).map(c => [
+                c.name,
+                `$${formatLargeNumber(c.directLoss)} + $${formatLargeNumber(indirectLoss(c, recoveryYears))}`,
+                'sub'
+            ]) : []),
+            ['Seismic magnitude', impact.seismicMagnitude === null ? 'none (airburst)' : (impact.seismicMagnitude||0).toFixed(2)],
+            ...(impact.waterDepth > 0 ? [
+                ['Water depth', Math.round(impact.waterDepth) + ' m' + sourceNote(impact.dataSources && impact.dataSources.bathymetry)],
+                ['Tsunami at source', impact.tsunamiHeight > 0 ? impact.tsunamiHeight.toFixed(0) + ' m' : 'none']
+            ] : []),
         ];
 
-        rows.forEach(([label, val]) => {
-            const r = document.createElement('div'); r.className = 'fact-row';
+        rows.forEach(([label, val, variant]) => {
+            const r = document.createElement('div'); r.className = 'fact-row' + (variant ? ' ' + variant : '');
             const l = document.createElement('div'); l.className = 'fact-label'; l.textContent = label;
             const v = document.createElement('div'); v.className = 'fact-value'; v.textContent = val;
             r.appendChild(l); r.appendChild(v); factsEl.appendChild(r);
@@ -169,61 +204,512 @@
     // NASA NEO API configuration
     const NASA_API_KEY = 'DEMO_KEY'; // Replace with your NASA API key if needed
     const NASA_NEO_API = 'https://api.nasa.gov/neo/rest/v1/';
+    // Bundled NeoWs browse snapshot used when the live API is unreachable (offline, rate-limited DEMO_KEY, etc.)
+    const NEO_SNAPSHOT_URL = 'data/neo-browse.json';
+    const EARTH_ESCAPE_VELOCITY = 11.19; // km/s
+
+    let neoCatalog = [];          // Normalized NEOs currently loaded into the panel
+    let neoCatalogSource = null;  // 'live' or 'snapshot'
+    let selectedNEOId = null;     // id of the highlighted NEO card
+    let selectedImpactor = null;  // Sentry virtual impactor chosen to drive the simulation
+    let approachGeometry = null;  // Orbit-derived entry geometry for the current impact location
+
+    // Convert one NeoWs object (feed or browse format) into the shape used by the NEO cards
+    function normalizeNEO(raw) {
+        const meters = (raw.estimated_diameter && raw.estimated_diameter.meters) || {};
+        const approaches = (raw.close_approach_data || [])
+            .filter(a => !a.orbiting_body || a.orbiting_body === 'Earth')
+            .map(a => ({
+                date: a.close_approach_date,
+                distance: parseFloat(a.miss_distance && a.miss_distance.kilometers) || 0, // km
+                au: parseFloat(a.miss_distance && a.miss_distance.astronomical) || 0,
+                velocity: parseFloat(a.relative_velocity && a.relative_velocity.kilometers_per_second) || 0 // km/s
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        // Browse results list every approach from 1900 onward; feed results list only the one in range.
+        // Prefer the first approach that has not happened yet, else the most recent one.
+        const today = new Date().toISOString().slice(0, 10);
+        const next = approaches.find(a => a.date >= today) || approaches[approaches.length - 1] || null;
+        const velocity = next ? next.velocity : 0;
 
-    // Function to provide specific high-risk asteroid data
-    async function fetchNearEarthObjects() {
-        return [{
-            name: "Impactor-2025",
-            absoluteMagnitude: 22.4,
+        return {
+            id: raw.id || raw.neo_reference_id,
+            name: (raw.name || '').trim(),
+            absoluteMagnitude: raw.absolute_magnitude_h,
             diameter: {
-                min: 100,
-                max: 225
+                min: Math.round(meters.estimated_diameter_min || 0),
+                max: Math.round(meters.estimated_diameter_max || 0)
             },
-            nextApproach: {
-                date: "2027-03-14",
-                distance: 135000, // km
-                au: 0.0009
-            },
-            hazardous: true,
-            impactRisk: {
-                probability: 0.00012, // 1.2 × 10⁻⁴
-                probabilityFraction: "1 in 8,300",
-                timeframe: "2025–2125",
-                palegroScale: -2.6,
-                torinoScale: 1
-            },
-            velocity: 25.3, // Example velocity in km/s
-            missDistance: 135000 // km
-        }];
+            nextApproach: next ? { date: next.date, distance: Math.round(next.distance), au: next.au } : null,
+            hazardous: !!raw.is_potentially_hazardous_asteroid,
+            sentryObject: !!raw.is_sentry_object,
+            impactRisk: null, // NeoWs carries no impact probabilities
+            velocity, // km/s relative to Earth at close approach
+            // Speed at atmospheric entry: hyperbolic excess plus Earth's escape velocity in quadrature
+            entryVelocity: Math.sqrt(velocity * velocity + EARTH_ESCAPE_VELOCITY * EARTH_ESCAPE_VELOCITY),
+            missDistance: next ? Math.round(next.distance) : null, // km
+            orbit: normalizeOrbit(raw.orbital_data)
+        };
     }
 
-    // Update NEO list display
-    async function updateNEOList() {
+    // Osculating elements from a NeoWs lookup/browse record (feed results carry none)
+    function normalizeOrbit(od) {
+        if (!od) return null;
+        const orbit = {
+            a: parseFloat(od.semi_major_axis),          // AU
+            e: parseFloat(od.eccentricity),
+            i: parseFloat(od.inclination),              // deg
+            node: parseFloat(od.ascending_node_longitude),
+            peri: parseFloat(od.perihelion_argument),
+            M: parseFloat(od.mean_anomaly),
+            epoch: parseFloat(od.epoch_osculation)      // JD
+        };
+        return Object.values(orbit).every(isFinite) ? orbit : null;
+    }
+
+    // Flatten a NeoWs response: feed groups objects by date, browse returns a flat page
+    function normalizeNeoResponse(data) {
+        if (!data || !data.near_earth_objects) return [];
+        const raw = Array.isArray(data.near_earth_objects)
+            ? data.near_earth_objects
+            : Object.values(data.near_earth_objects).flat();
+
+        // The feed can list the same object on several days; keep the first occurrence
+        const seen = new Set();
+        return raw.filter(o => {
+            const id = o.id || o.neo_reference_id;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        }).map(normalizeNEO);
+    }
+
+    // Load the NEO catalog from NeoWs, falling back to the bundled snapshot
+    async function fetchNearEarthObjects() {
+        try {
+            const data = await tryFetch(`${NASA_NEO_API}neo/browse?size=20&api_key=${NASA_API_KEY}`);
+            const objects = normalizeNeoResponse(data);
+            if (objects.length > 0) {
+                neoCatalogSource = 'live';
+                return objects;
+            }
+        } catch (err) {}
+
+        try {
+            const data = await tryFetch(NEO_SNAPSHOT_URL);
+            neoCatalogSource = 'snapshot';
+            return normalizeNeoResponse(data);
+        } catch (err) {
+            console.error('Could not load NEO data from NeoWs or the bundled snapshot:', err && err.message);
+            neoCatalogSource = null;
+            return [];
+        }
+    }
+
+    // Build one clickable NEO card
+    function createNEOCard(asteroid) {
+        const item = document.createElement('div');
+        item.className = 'neo-item' + (asteroid.hazardous ? ' hazardous' : '');
+        item.dataset.id = asteroid.id;
+
+        const name = document.createElement('div');
+        name.className = 'name';
+        name.textContent = asteroid.name;
+        item.appendChild(name);
+
+        const rows = [
+            ['Absolute Magnitude (H)', asteroid.absoluteMagnitude],
+            ['Estimated Diameter', `${asteroid.diameter.min}–${asteroid.diameter.max} m`],
+            ['Relative Velocity', asteroid.velocity.toFixed(2) + ' km/s']
+        ];
+        if (asteroid.nextApproach) {
+            rows.push(['Next Close Approach', asteroid.nextApproach.date]);
+            rows.push(['Approach Distance', `${asteroid.nextApproach.au.toPrecision(3)} au (${asteroid.nextApproach.distance.toLocaleString()} km)`]);
+        }
+        rows.push(['Potentially Hazardous', asteroid.hazardous ? 'Yes' : 'No']);
+        if (asteroid.impactRisk) {
+            rows.push(['Impact Probability', `${asteroid.impactRisk.probability.toExponential(1)} (${asteroid.impactRisk.probabilityFraction})`]);
+            rows.push(['Risk Period', asteroid.impactRisk.timeframe]);
+            rows.push(['Palermo Scale', asteroid.impactRisk.palegroScale !== null ? asteroid.impactRisk.palegroScale.toFixed(2) : 'n/a']);
+            rows.push(['Torino Scale', asteroid.impactRisk.torinoScale]);
+        } else if (asteroid.sentryObject) {
+            rows.push(['Impact Risk', 'On Sentry list (no risk table loaded)']);
+        }
+
+        const stats = document.createElement('div');
+        stats.className = 'stats';
+        rows.forEach(([label, val], idx) => {
+            const strong = document.createElement('strong');
+            strong.textContent = label + ':';
+            stats.appendChild(strong);
+            stats.appendChild(document.createTextNode(' ' + val));
+            if (idx < rows.length - 1) stats.appendChild(document.createElement('br'));
+        });
+        item.appendChild(stats);
+
+        if (asteroid.impactRisk && asteroid.impactRisk.virtualImpactors.length > 0) {
+            item.appendChild(createVirtualImpactorTable(asteroid));
+        }
+
+        item.addEventListener('click', () => selectNEO(asteroid));
+        return item;
+    }
+
+    // Collapsible table of an object's Sentry virtual impactors; clicking a row runs that scenario
+    function createVirtualImpactorTable(asteroid) {
+        const details = document.createElement('details');
+        details.className = 'neo-vi';
+        // Expanding the table should not count as picking the whole object
+        details.addEventListener('click', (ev) => ev.stopPropagation());
+
+        const vis = asteroid.impactRisk.virtualImpactors;
+        const summary = document.createElement('summary');
+        summary.textContent = `Virtual impactors (${vis.length})`;
+        details.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.innerHTML = '<thead><tr><th>Date</th><th>Probability</th><th>Energy</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        vis.forEach(vi => {
+            const tr = document.createElement('tr');
+            tr.dataset.date = vi.date;
+            [vi.date.slice(0, 10), vi.probability.toExponential(1), formatMegatons(vi.energy)].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            if (selectedImpactor && selectedImpactor.neoId === asteroid.id && selectedImpactor.date === vi.date) {
+                tr.classList.add('selected');
+            }
+            tr.addEventListener('click', () => selectVirtualImpactor(asteroid, vi));
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        details.appendChild(table);
+        return details;
+    }
+
+    function formatMegatons(mt) {
+        if (mt >= 1e3) return (mt / 1e3).toFixed(2) + ' Gt';
+        if (mt >= 1) return mt.toFixed(2) + ' Mt';
+        return (mt * 1e3).toFixed(1) + ' kt';
+    }
+
+    // Use one virtual impactor (date, probability, energy) as the simulated scenario
+    function selectVirtualImpactor(asteroid, vi) {
+        selectedImpactor = {
+            neoId: asteroid.id,
+            name: asteroid.name,
+            date: vi.date,
+            probability: vi.probability,
+            energy: vi.energy, // Mt TNT
+            palermo: vi.palermo,
+            torino: vi.torino
+        };
+        selectNEO(asteroid);
+
+        // Sentry's own size and impact speed are the ones its energy estimate was computed from
+        const sentry = asteroid.impactRisk.sentry || {};
+        loadNEO(asteroid.name, sentry.diameter || asteroid.diameter.max, sentry.impactVelocity || asteroid.entryVelocity);
+
+        setImpactOdds(vi.probability, parseFloat(vi.date) - currentYear());
+        const geometry = applyApproachGeometry(asteroid, vi.date, vi.distance);
+
+        document.querySelectorAll('#neo-list .neo-vi tr.selected').forEach(tr => tr.classList.remove('selected'));
+        const card = document.querySelector(`#neo-list .neo-item[data-id="${asteroid.id}"]`);
+        card?.querySelector(`tr[data-date="${vi.date}"]`)?.classList.add('selected');
+
+        const instr = document.querySelector('.instruction');
+        if (instr) {
+            instr.textContent = `Scenario: ${asteroid.name} on ${vi.date.slice(0, 10)} (p = ${vi.probability.toExponential(1)}). ` +
+                (geometry ? describeApproachGeometry(geometry) : 'Click the globe to pick an impact site.');
+        }
+    }
+
+    // Highlight the chosen object and push its parameters into the simulator sliders
+    function selectNEO(asteroid) {
+        if (selectedImpactor && selectedImpactor.neoId !== asteroid.id) selectedImpactor = null;
+        selectedNEOId = asteroid.id;
+        document.querySelectorAll('#neo-list .neo-item').forEach(el => {
+            el.classList.toggle('selected', el.dataset.id === String(asteroid.id));
+        });
+        loadNEO(asteroid.name, asteroid.diameter.max, asteroid.entryVelocity);
+        clearRiskCorridor(); // applyApproachGeometry redraws it when the orbit is known
+
+        // Objects on the Sentry list carry the odds that drive the Palermo/Torino readout
+        if (!selectedImpactor && asteroid.impactRisk) {
+            const first = asteroid.impactRisk.virtualImpactors[0];
+            const firstYear = first ? parseFloat(first.date) : parseFloat(asteroid.impactRisk.timeframe);
+            setImpactOdds(asteroid.impactRisk.probability, firstYear - currentYear());
+        }
+
+        // A virtual impactor sets its own geometry once selectVirtualImpactor has loaded its parameters
+        if (!selectedImpactor && asteroid.nextApproach) {
+            const geometry = applyApproachGeometry(asteroid, asteroid.nextApproach.date);
+            const instr = document.querySelector('.instruction');
+            if (instr && geometry) instr.textContent = `${asteroid.name}: ${describeApproachGeometry(geometry)}`;
+        }
+    }
+
+    // Propagate the object's orbit to the encounter date and push entry speed, angle and
+    // impact point into the simulator. impactDistance is a virtual impactor's target-plane distance
+    // (Earth radii); without it a nominal miss has no entry angle and the slider is left alone.
+    // Returns the geometry, or null if the orbit is unknown.
+    function applyApproachGeometry(asteroid, date, impactDistance = null) {
+        if (!asteroid.orbit || !date) return null;
+
+        let geometry;
+        try {
+            geometry = calculateImpactGeometry(asteroid.orbit, dateToJulian(date), undefined, impactDistance);
+        } catch (err) {
+            console.warn(`Could not derive approach geometry for ${asteroid.name}:`, err && err.message);
+            return null;
+        }
+        if (!isFinite(geometry.lat) || !isFinite(geometry.lon)) return null;
+
+        // Dispatch input so the labels and the risk readout follow the new values
+        [['speed', geometry.entrySpeed], ['angle', geometry.entryAngle]].forEach(([id, value]) => {
+            const el = document.getElementById(id);
+            if (!el || value === null) return;
+            el.value = value;
+            el.dispatchEvent(new Event('input'));
+        });
+
+        setImpactLocation(geometry.lat, geometry.lon);
+        approachGeometry = geometry;
+        showRiskCorridor(asteroid, date);
+        return geometry;
+    }
+
+    // Draw where the encounter could land given orbit uncertainty: a centerline along the
+    // line of variations and its ±2σ cross-track edges
+    function showRiskCorridor(asteroid, date) {
+        if (!globe) return;
+
+        let corridor = null;
+        try {
+            corridor = calculateRiskCorridor(asteroid.orbit, dateToJulian(date));
+        } catch (err) {
+            console.warn(`Could not compute a risk corridor for ${asteroid.name}:`, err && err.message);
+        }
+        if (!corridor) {
+            clearRiskCorridor();
+            return;
+        }
+
+        // A nominal miss is drawn through the assumed 45° aim point, so it is only the track the
+        // object would take if it were an impactor and has no strike probability to report
+        const spread = `±3σ ${Math.round(3 * corridor.spread.along).toLocaleString()} km in the b-plane`;
+        const label = corridor.isImpactor
+            ? `${asteroid.name} risk corridor (${date.slice(0, 10)}): ${spread}, ` +
+                `${Math.round(corridor.hitFraction * 100)}% of samples strike Earth`
+            : `${asteroid.name} hypothetical corridor if it were an impactor (${date.slice(0, 10)}): ${spread}`;
+        corridorPaths = [
+            { kind: 'corridor', points: corridor.centerline, color: 'rgba(255, 87, 34, 0.75)', stroke: 2.5, label },
+            ...corridor.edges
+                .filter(edge => edge.length > 1)
+                .map(edge => ({ kind: 'corridor', points: edge, color: 'rgba(255, 193, 7, 0.6)', stroke: 0.6, label }))
+        ];
+        refreshPaths();
+    }
+
+    function clearRiskCorridor() {
+        corridorPaths = [];
+        refreshPaths();
+    }
+
+    // The paths layer carries both the risk corridor and the tsunami isochrones; each entry's
+    // kind ('corridor' or 'isochrone') tells the click handler which one was hit
+    let corridorPaths = [];
+    let tsunamiPaths = [];
+    function refreshPaths() {
+        if (globe) globe.pathsData([...corridorPaths, ...tsunamiPaths]);
+    }
+
+    function describeApproachGeometry(geometry) {
+        const where = `${Math.abs(geometry.lat).toFixed(1)}°${geometry.lat >= 0 ? 'N' : 'S'}, ` +
+            `${Math.abs(geometry.lon).toFixed(1)}°${geometry.lon >= 0 ? 'E' : 'W'}`;
+        if (geometry.entryAngle === null) {
+            return `Entry at ${geometry.entrySpeed.toFixed(1)} km/s. The orbit misses Earth by ` +
+                `${Math.round(geometry.missDistance).toLocaleString()} km, so it gives no entry angle: set it yourself. ` +
+                `Hypothetical site near ${where}. Press "Simulation Start" to run.`;
+        }
+        const angle = geometry.angleSource === 'b-plane'
+            ? `${geometry.entryAngle.toFixed(0)}° (from the virtual impactor's target-plane distance)`
+            : `${geometry.entryAngle.toFixed(0)}°`;
+        return `Entry at ${geometry.entrySpeed.toFixed(1)} km/s, angle ${angle}, near ${where}. Press "Simulation Start" to run.`;
+    }
+
+    // Sort keys for the NEO panel. Objects missing the sorted value always go last.
+    const NEO_SORTS = {
+        approach: { value: a => a.nextApproach ? a.nextApproach.date : null, descending: false },
+        distance: { value: a => a.missDistance, descending: false },
+        diameter: { value: a => a.diameter.max, descending: true },
+        palermo: { value: a => a.impactRisk ? a.impactRisk.palegroScale : null, descending: true },
+        torino: { value: a => a.impactRisk ? a.impactRisk.torinoScale : null, descending: true }
+    };
+
+    // Read the search, hazard and diameter controls and return the matching objects in sorted order
+    function getFilteredNEOs() {
+        const query = (document.getElementById('neo-search')?.value || '').trim().toLowerCase();
+        const hazardousOnly = !!document.getElementById('neo-hazardous-only')?.checked;
+        const minD = parseFloat(document.getElementById('neo-diameter-min')?.value);
+        const maxD = parseFloat(document.getElementById('neo-diameter-max')?.value);
+        const sort = NEO_SORTS[document.getElementById('neo-sort')?.value] || NEO_SORTS.approach;
+
+        const matches = neoCatalog.filter(a => {
+            if (query && !a.name.toLowerCase().includes(query) && !String(a.id).includes(query)) return false;
+            if (hazardousOnly && !a.hazardous) return false;
+            // Keep objects whose estimated size range overlaps the requested range
+            if (isFinite(minD) && a.diameter.max < minD) return false;
+            if (isFinite(maxD) && a.diameter.min > maxD) return false;
+            return true;
+        });
+
+        return matches.sort((a, b) => {
+            const va = sort.value(a);
+            const vb = sort.value(b);
+            if (va === null || va === undefined) return (vb === null || vb === undefined) ? 0 : 1;
+            if (vb === null || vb === undefined) return -1;
+            const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+            return sort.descending ? -cmp : cmp;
+        });
+    }
+
+    // Render the catalog through the current search, filter and sort controls
+    function renderNEOList() {
         const neoList = document.getElementById('neo-list');
-        const asteroids = await fetchNearEarthObjects();
-        
-        if (asteroids.length === 0) {
+        if (!neoList) return;
+
+        neoList.innerHTML = '';
+        if (neoCatalog.length === 0) {
             neoList.innerHTML = '<p>No near-Earth objects found.</p>';
             return;
         }
 
-        const asteroid = asteroids[0];
-        
-        neoList.innerHTML = `
-            <div class="neo-item hazardous" onclick="loadNEO('${asteroid.name}', ${asteroid.diameter.max}, ${asteroid.velocity})">
-                <div class="name">${asteroid.name}</div>
-                <div class="stats">
-                    <strong>Absolute Magnitude (H):</strong> ${asteroid.absoluteMagnitude}<br>
-                    <strong>Estimated Diameter:</strong> ${asteroid.diameter.min}–${asteroid.diameter.max} m<br>
-                    <strong>Next Close Approach:</strong> ${asteroid.nextApproach.date}<br>
-                    <strong>Approach Distance:</strong> ${asteroid.nextApproach.au} au (${(asteroid.nextApproach.distance).toLocaleString()} km)<br>
-                    <strong>Impact Probability:</strong> ${asteroid.impactRisk.probability.toExponential(1)} (${asteroid.impactRisk.probabilityFraction})<br>
-                    <strong>Risk Period:</strong> ${asteroid.impactRisk.timeframe}<br>
-                    <strong>Palermo Scale:</strong> ${asteroid.impactRisk.palegroScale}<br>
-                    <strong>Torino Scale:</strong> ${asteroid.impactRisk.torinoScale}
-                </div>
-            </div>
-        `;
+        const matches = getFilteredNEOs();
+        const summary = document.createElement('p');
+        summary.className = 'neo-source-note';
+        summary.textContent = `Showing ${matches.length} of ${neoCatalog.length} objects` +
+            (neoCatalogSource === 'snapshot' ? ' (NASA NeoWs unreachable: bundled snapshot)' : '');
+        neoList.appendChild(summary);
+
+        if (matches.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No objects match the current filters.';
+            neoList.appendChild(empty);
+            return;
+        }
+        matches.forEach(a => {
+            const card = createNEOCard(a);
+            if (a.id === selectedNEOId) card.classList.add('selected');
+            neoList.appendChild(card);
+        });
+    }
+
+    // Derive the Sentry designation from a NeoWs name:
+    // '101955 Bennu (1999 RQ36)' -> '101955', '(2000 SG344)' -> '2000 SG344'
+    function neoDesignation(name) {
+        const numbered = name.match(/^(\d+)\s/);
+        if (numbered) return numbered[1];
+        const provisional = name.match(/\(([^)]+)\)/);
+        return provisional ? provisional[1].trim() : name.trim();
+    }
+
+    // Convert a parsed Sentry record into the impactRisk block shown on the NEO card
+    function toImpactRisk(record) {
+        const p = record.probability;
+        const odds = p > 0 ? Number((1 / p).toPrecision(2)) : Infinity;
+        return {
+            probability: p,
+            probabilityFraction: isFinite(odds) ? `1 in ${odds.toLocaleString()}` : 'none',
+            timeframe: record.range.replace('-', '–'),
+            palegroScale: isFinite(record.palermoCumulative) ? record.palermoCumulative : null,
+            torinoScale: record.torinoMax,
+            virtualImpactors: record.virtualImpactors,
+            sentry: {
+                diameter: record.diameter,
+                impactVelocity: record.impactVelocity || null
+            }
+        };
+    }
+
+    // Attach Sentry records to every catalog object they describe; returns the number matched
+    function applySentryRecords(records) {
+        let matched = 0;
+        neoCatalog.forEach(asteroid => {
+            const record = records[neoDesignation(asteroid.name)];
+            if (!record) return;
+            // A summary-only import must not wipe a previously loaded virtual-impactor table
+            if (record.virtualImpactors.length === 0 && asteroid.impactRisk) {
+                record.virtualImpactors = asteroid.impactRisk.virtualImpactors;
+                record.impactVelocity = record.impactVelocity || asteroid.impactRisk.sentry.impactVelocity;
+            }
+            asteroid.impactRisk = toImpactRisk(record);
+            asteroid.sentryObject = true;
+            matched++;
+        });
+        return matched;
+    }
+
+    // Load the Sentry summary, then the virtual-impactor detail for every catalog object on the list
+    async function loadSentryRisk() {
+        const summary = await getSentrySummary();
+        const designations = neoCatalog.map(a => neoDesignation(a.name)).filter(des => summary[des]);
+
+        const details = await Promise.all(designations.map(des => getSentryDetail(des)));
+        details.forEach(record => { if (record) summary[record.designation] = record; });
+        applySentryRecords(summary);
+    }
+
+    // Import a Sentry summary or detail JSON file chosen by the user
+    function importSentryFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const status = document.getElementById('sentry-import-status');
+            try {
+                const records = parseSentryFile(JSON.parse(reader.result));
+                if (!records) {
+                    if (status) status.textContent = `Unrecognized Sentry file: ${file.name} is neither a summary nor a detail table.`;
+                    return;
+                }
+                const matched = applySentryRecords(records);
+                if (status) status.textContent = `Imported ${file.name}: ${matched} object(s) updated.`;
+                renderNEOList();
+            } catch (err) {
+                console.warn('Sentry import failed:', err && err.message);
+                if (status) status.textContent = `Could not read ${file.name} as Sentry JSON.`;
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Wire the NEO panel controls once
+    function setupNEOControls() {
+        const rerender = debounce(renderNEOList, 150);
+        ['neo-search', 'neo-diameter-min', 'neo-diameter-max'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', rerender);
+        });
+        ['neo-sort', 'neo-hazardous-only'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', renderNEOList);
+        });
+        document.getElementById('sentry-file')?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file) importSentryFile(file);
+            e.target.value = '';
+        });
+    }
+
+    // Update NEO list display
+    async function updateNEOList() {
+        neoCatalog = await fetchNearEarthObjects();
+        try {
+            await loadSentryRisk();
+        } catch (err) {
+            console.warn('Sentry risk data could not be applied:', err && err.message);
+        }
+        renderNEOList();
     }
 
     // Initialize visualization
@@ -231,6 +717,7 @@
         try {
             console.log('initGlobe: starting');
             // Initialize Globe.GL
+            setupNEOControls();
             await updateNEOList(); // Fetch and display NEO data
             
             const mainView = document.querySelector('.main-view');
@@ -250,15 +737,12 @@
                 .atmosphereAltitude(0.2);
             
                 // Register click handler so user can select an impact location (won't simulate immediately)
-                globe.onGlobeClick((latLng) => {
-                    // latLng is { lat, lng }
-                    lat = latLng.lat;
-                    lon = latLng.lng;
+                const pickImpactLocation = (latLng) => {
+                    // latLng is { lat, lng }. A hand-picked site no longer follows the orbit's approach path.
+                    approachGeometry = null;
+                    setImpactLocation(latLng.lat, latLng.lng);
                     console.log('Selected impact location (click):', { lat, lon });
                     
-                    // Update impact marker
-                    updateImpactMarker(lat, lon);
-                    
                     // Update instruction text to inform user
                     try {
                         const instr = document.querySelector('.instruction');
@@ -266,12 +750,59 @@
                     } catch (e) {
                         /* ignore */
                     }
-                });
+                };
+                globe.onGlobeClick(pickImpactLocation);
+
+                // Risk corridor and tsunami isochrone layer (see refreshPaths); a click on the corridor
+                // picks that point, while isochrones only describe the current impact and ignore clicks
+                globe.pathsData([])
+                    .pathPoints('points')
+                    .pathPointLat('lat')
+                    .pathPointLng('lon')
+                    .pathPointAlt(0.005)
+                    .pathColor('color')
+                    .pathStroke('stroke')
+                    .pathLabel('label')
+                    .pathTransitionDuration(0)
+                    .onPathClick((path, event, coords) => {
+                        if (path.kind !== 'corridor') return;
+                        pickImpactLocation(coords || { lat: path.points[0].lat, lng: path.points[0].lon });
+                    });
+
+                // Countries reached by the damage rings (see showAffectedCountries); clicks pass through to pick a site
+                globe.polygonsData([])
+                    .polygonGeoJsonGeometry('geometry')
+                    .polygonCapColor('capColor')
+                    .polygonSideColor(() => 'rgba(0, 0, 0, 0)')
+                    .polygonStrokeColor('strokeColor')
+                    .polygonAltitude(0.003)
+                    .polygonLabel('label')
+                    .polygonsTransitionDuration(0)
+                    .onPolygonClick((polygon, event, coords) => coords && pickImpactLocation(coords));
+
+                // Damage contour labels (see createAirburstContours)
+                globe.labelsData([])
+                    .labelLat('lat')
+                    .labelLng('lng')
+                    .labelText('text')
+                    .labelColor('color')
+                    .labelSize('size')
+                    .labelDotRadius(d => d.size * 0.3)
+                    .labelAltitude(0.002)
+                    .labelResolution(2);
+
+                // Recent earthquakes and the fallback impact marker (see refreshPoints)
+                globe.pointsData([])
+                    .pointLat('lat')
+                    .pointLng('lng')
+                    .pointColor('color')
+                    .pointRadius('size')
+                    .pointAltitude('alt')
+                    .pointLabel('label');
 
                 // Debug: expose some globe API info so we can inspect in the console
                 try {
                     console.log('globe API methods:', Object.keys(globe).filter(k => typeof globe[k] === 'function'));
-                    // Do not initialize pointsData — we'll render flat disks/rings via customLayerData
                 } catch (e) {
                     console.warn('Could not inspect globe API or initialize pointsData:', e && e.message);
                 }
@@ -281,7 +812,7 @@
                 // which can remove elements placed inside `.main-view`. Move these panels to document.body
                 // so they persist above the globe canvas.
                 try {
-                    ['impact-info', 'legend', 'instruction'].forEach(id => {
+                    ['impact-info', 'legend', 'instruction', 'tsunami-timeline'].forEach(id => {
                         const el = document.getElementById(id);
                         if (el && !document.body.contains(el)) {
                             // Set absolute positioning to overlay on the globe
@@ -411,6 +942,13 @@
         window._syncSidebarToMain = { update, onResize };
     }
 
+    // Move the impact site and its marker (globe click or orbit-derived geometry)
+    function setImpactLocation(latitude, longitude) {
+        lat = latitude;
+        lon = longitude;
+        updateImpactMarker(lat, lon);
+    }
+
     // Function to update the impact marker on the globe using Three.js objects
     function updateImpactMarker(latitude, longitude, diameter = null) {
         if (!globe) return;
@@ -523,21 +1061,15 @@
                 // Scale fallback marker size based on diameter too
                 const fallbackScale = Math.max(2, Math.min(8, 2 + (diameter / 200))); // 2-8 range
                 
-                const markerData = [{
+                markerPoints = [{
                     lat: latitude,
                     lng: longitude,
                     label: `📍 Impact Target (${diameter}m)`,
                     color: '#ff0000', // Red to match the 3D pin
-                    size: fallbackScale
+                    size: fallbackScale,
+                    alt: 0.01
                 }];
-                
-                globe.pointsData(markerData)
-                    .pointLat('lat')
-                    .pointLng('lng')
-                    .pointColor('color')
-                    .pointRadius('size')
-                    .pointAltitude(0.01)
-                    .pointLabel('label');
+                refreshPoints();
                     
                 impactMarker = { lat: latitude, lng: longitude, fallback: true };
                 console.log('Using fallback pointsData marker');
@@ -554,7 +1086,8 @@
         try {
             if (impactMarker.fallback) {
                 // Clear pointsData fallback
-                globe.pointsData([]);
+                markerPoints = [];
+                refreshPoints();
             } else {
                 // Remove 3D object from scene
                 const scene = (globe.scene && globe.scene()) || globe._scene;
@@ -570,6 +1103,102 @@
         }
     }
 
+    function refreshPoints() {
+        if (globe) globe.pointsData([...quakePoints, ...markerPoints]);
+    }
+
+    // Plot USGS GeoJSON earthquakes, sized and colored by magnitude
+    function showRecentQuakes(features) {
+        quakePoints = (features || [])
+            .filter(q => q && q.geometry && Array.isArray(q.geometry.coordinates))
+            .map(q => {
+                const [qLon, qLat, depth] = q.geometry.coordinates;
+                const props = q.properties || {};
+                const mag = typeof props.mag === 'number' ? props.mag : 0;
+                const time = props.time ? new Date(props.time).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : '';
+                return {
+                    lat: qLat,
+                    lng: qLon,
+                    alt: 0.005,
+                    size: 0.1 + 0.08 * Math.max(0, mag),
+                    color: quakeColor(mag),
+                    label: `M${mag.toFixed(1)} ${props.place || 'unknown location'}, ${Math.round(depth || 0)} km deep, ${time}`
+                };
+            });
+        refreshPoints();
+    }
+
+    function quakeColor(mag) {
+        if (mag >= 6) return '#f44336';
+        if (mag >= 4.5) return '#ff9800';
+        if (mag >= 2.5) return '#ffeb3b';
+        return '#8bc34a';
+    }
+
+    // Local seismic context: USGS events around the last impact point for the chosen feed window and radius
+    const SEISMIC_WINDOW_LABELS = { hour: 'past hour', day: 'past day', week: 'past week', month: 'past month' };
+    let seismicContextCenter = null;
+
+    function seismicContextOptions() {
+        const feedWindow = document.getElementById('seismic-window')?.value || 'day';
+        const radius = parseFloat(document.getElementById('seismic-radius')?.value);
+        return { feedWindow, radius: isFinite(radius) && radius > 0 ? Math.min(radius, 20000) : 100 };
+    }
+
+    // Re-query the feed for the current impact point after the window or radius changes
+    async function refreshSeismicContext() {
+        if (!seismicContextCenter) return;
+        const { lat: cLat, lon: cLon } = seismicContextCenter;
+        const { radius, feedWindow } = seismicContextOptions();
+        const list = document.getElementById('seismic-list');
+        if (list) list.textContent = 'Loading USGS events...';
+
+        let result = { value: [], source: null };
+        try {
+            result = await getSeismicActivity(cLat, cLon, radius, feedWindow);
+        } catch (err) {
+            console.warn('Seismic activity lookup failed:', err && err.message);
+        }
+        showRecentQuakes(result.value);
+        renderSeismicContext(result.value, result.source);
+    }
+
+    // source is the provider tag from getSeismicActivity; the offline snapshot is not windowed
+    function renderSeismicContext(features, source) {
+        const list = document.getElementById('seismic-list');
+        if (!list || !seismicContextCenter) return;
+        const { radius, feedWindow } = seismicContextOptions();
+
+        list.innerHTML = '';
+        const summary = document.createElement('div');
+        summary.className = 'neo-source-note';
+        summary.textContent = source && source.offline
+            ? `${(features || []).length} significant historical events within ${radius} km (${source.label}; live feed unavailable)`
+            : `${(features || []).length} USGS events within ${radius} km, ${SEISMIC_WINDOW_LABELS[feedWindow] || feedWindow}`;
+        list.appendChild(summary);
+
+        (features || []).forEach(q => {
+            const [qLon, qLat, depth] = q.geometry.coordinates;
+            const props = q.properties || {};
+            const mag = typeof props.mag === 'number' ? props.mag : 0;
+            const item = document.createElement('div');
+            item.className = 'seismic-event';
+
+            const magEl = document.createElement('span');
+            magEl.className = 'seismic-mag';
+            magEl.style.color = quakeColor(mag);
+            magEl.textContent = `M${mag.toFixed(1)}`;
+            const detail = document.createElement('span');
+            const time = props.time ? new Date(props.time).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'time unknown';
+            const away = Math.round(haversineKm(seismicContextCenter.lat, seismicContextCenter.lon, qLat, qLon));
+            detail.textContent = `${props.place || 'unknown location'} · ${Math.round(depth || 0)} km deep · ${time} · ${away} km from impact`;
+
+            item.appendChild(magEl);
+            item.appendChild(detail);
+            list.appendChild(item);
+        });
+    }
+
     // Set up event listeners
     function setupEventListeners() {
         // Mitigation strategy selection
@@ -579,7 +1208,7 @@
         });
         
         // Mitigation parameter updates
-        ['impactor-mass', 'impactor-velocity', 'spacecraft-mass', 'hover-distance', 'duration', 'yield', 'standoff'].forEach(id => {
+        ['impactor-mass', 'impactor-velocity', 'beta', 'spacecraft-mass', 'hover-distance', 'duration', 'yield', 'standoff', 'safety-margin'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('input', () => {
@@ -588,6 +1217,17 @@
             }
         });
 
+        // Warning time and years until impact are one quantity: each control follows the other
+        document.getElementById('warning-time')?.addEventListener('input', () => {
+            syncWarningTime(mitigationWarningDays(), 'warning-time');
+            updateRiskScales();
+        });
+        ['input', 'change'].forEach(type => document.getElementById('years-to-impact')?.addEventListener(type, () => {
+            const years = parseFloat(document.getElementById('years-to-impact').value);
+            if (isFinite(years)) syncWarningTime(years * 365.25, 'years-to-impact');
+        }));
+        syncWarningTime(mitigationWarningDays(), 'warning-time');
+
         // Live updates for main simulator sliders (diameter, speed, angle)
         ['diameter', 'speed', 'angle'].forEach(id => {
             const el = document.getElementById(id);
@@ -616,6 +1256,36 @@
             update();
         });
 
+        // Keep the Palermo/Torino readout in step with the impactor parameters
+        ['diameter', 'material', 'speed', 'angle', 'impact-probability', 'years-to-impact'].forEach(id => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', () => updateRiskScales());
+            el.addEventListener('change', () => updateRiskScales());
+        });
+        updateRiskScales();
+
+        // Recovery period only rescales the indirect loss, so the overlay is just re-rendered
+        document.getElementById('recovery-years')?.addEventListener('input', (ev) => {
+            const label = document.getElementById('recovery-years-value');
+            if (label) label.textContent = ev.target.value + ' yr';
+            if (lastImpactFacts) showImpactFacts(lastImpactFacts.latC, lastImpactFacts.lonC, lastImpactFacts.impact);
+        });
+
+        // Local seismic context: a new window or radius re-queries the USGS feed
+        ['seismic-window', 'seismic-radius'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => refreshSeismicContext());
+        });
+
+        // Tsunami timeline: dragging the scrubber pauses playback
+        document.getElementById('tsunami-hour')?.addEventListener('input', (ev) => {
+            stopTsunamiPlayback();
+            setTsunamiHour(parseInt(ev.target.value, 10));
+        });
+        document.getElementById('tsunami-play')?.addEventListener('click', () => {
+            if (tsunamiPlayTimer) stopTsunamiPlayback(); else playTsunami();
+        });
+
         // Initialize any custom select controls (replaces native dropdown visuals)
         try { initCustomSelects(); } catch (e) { console.warn('Custom selects init failed:', e && e.message); }
     }
@@ -705,87 +1375,216 @@
 
     // Load NEO data into simulator
     window.loadNEO = function(name, diameter, velocity) {
-        document.getElementById('diameter').value = diameter;
-        document.getElementById('diameter-value').textContent = diameter.toFixed(1) + ' m';
-        document.getElementById('speed').value = velocity;
-        document.getElementById('speed-value').textContent = parseFloat(velocity).toFixed(1) + ' km/s';
+        // Read the values back so the labels show what the sliders actually clamped to
+        const diameterEl = document.getElementById('diameter');
+        const speedEl = document.getElementById('speed');
+        diameterEl.value = diameter;
+        document.getElementById('diameter-value').textContent = parseFloat(diameterEl.value).toFixed(1) + ' m';
+        speedEl.value = velocity;
+        document.getElementById('speed-value').textContent = parseFloat(speedEl.value).toFixed(1) + ' km/s';
     };
 
     // Update impact visualization
 
+    // Bundled coarse target-material raster (see target-material.js), fetched once on first use
+    const TARGET_RASTER_URL = 'data/target-material.json';
+    let targetRasterPromise = null;
+    function loadTargetRaster() {
+        if (!targetRasterPromise) {
+            targetRasterPromise = tryFetch(TARGET_RASTER_URL).catch(err => {
+                console.warn('Target raster unavailable, assuming sedimentary rock:', err && err.message);
+                return null;
+            });
+        }
+        return targetRasterPromise;
+    }
+
+    // Bundled coastal cities for tsunami run-up and arrival estimates, fetched once on first use
+    const COASTAL_CITIES_URL = 'data/coastal-cities.json';
+    let coastalCitiesPromise = null;
+    function loadCoastalCities() {
+        if (!coastalCitiesPromise) {
+            coastalCitiesPromise = tryFetch(COASTAL_CITIES_URL)
+                .then(data => (data && Array.isArray(data.cities) ? data.cities : []))
+                .catch(err => {
+                    console.warn('Coastal city list unavailable:', err && err.message);
+                    return [];
+                });
+        }
+        return coastalCitiesPromise;
+    }
+
+    // Bundled gridded population: a JSON header naming the dataset plus one byte per cell, fetched once on first use
+    const POPULATION_GRID_URL = 'data/population-grid.json';
+    let populationGridPromise = null;
+    function loadPopulationGrid() {
+        if (!populationGridPromise) {
+            populationGridPromise = tryFetch(POPULATION_GRID_URL)
+                .then(async header => {
+                    const response = await fetch(new URL(header.file, new URL(POPULATION_GRID_URL, location.href)));
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return createPopulationGrid(header, await response.arrayBuffer());
+                })
+                .catch(err => {
+                    console.warn('Population grid unavailable:', err && err.message);
+                    return null;
+                });
+        }
+        return populationGridPromise;
+    }
+
+    // Bundled Natural Earth country outlines (see countries.js), fetched and indexed once on first use
+    const COUNTRY_BOUNDARIES_URL = 'data/countries.geojson';
+    let countryBoundariesPromise = null;
+    function loadCountryBoundaries() {
+        if (!countryBoundariesPromise) {
+            countryBoundariesPromise = tryFetch(COUNTRY_BOUNDARIES_URL)
+                .then(createCountryIndex)
+                .catch(err => {
+                    console.warn('Country boundaries unavailable:', err && err.message);
+                    return [];
+                });
+        }
+        return countryBoundariesPromise;
+    }
+
+    // Bundled per-country GDP and built capital, located by boundary polygon (nearest anchor off the coastlines), fetched once on first use
+    const COUNTRY_ECONOMICS_URL = 'data/country-economics.json';
+    let countryEconomicsPromise = null;
+    function loadCountryEconomics() {
+        if (!countryEconomicsPromise) {
+            countryEconomicsPromise = tryFetch(COUNTRY_ECONOMICS_URL)
+                .then(async data => {
+                    const countries = data && Array.isArray(data.countries) ? data.countries : [];
+                    const boundaries = await loadCountryBoundaries();
+                    const anchors = createAnchorLocator(countries);
+                    return { countries, locateCountry: boundaries.length ? createBoundaryLocator(boundaries, countries, anchors) : anchors };
+                })
+                .catch(err => {
+                    console.warn('Country economics table unavailable:', err && err.message);
+                    return { countries: [], locateCountry: null };
+                });
+        }
+        return countryEconomicsPromise;
+    }
+
     async function calculateImpact(radius, density, speed, angle, lat, lon) {
-        // Initial calculations
-        const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
-        const initialVelocity = speed * 1000; // Convert to m/s
-        
         // Get environmental data
         let elevation = 0;
-        let isCoastal = false;
         let recentSeismicActivity = [];
+        // Which provider answered each lookup (see usgs-data.js), for the UI
+        const dataSources = { elevation: null, bathymetry: null, seismic: null };
 
         const hasValidCoords = typeof lat === 'number' && typeof lon === 'number' && isFinite(lat) && isFinite(lon);
         if (hasValidCoords) {
             try {
-                elevation = await getElevation(lat, lon);
+                const result = await getElevation(lat, lon);
+                elevation = result.value;
+                dataSources.elevation = result.source;
             } catch (err) {
                 console.warn('Elevation lookup failed, defaulting to 0:', err && err.message);
                 elevation = 0;
             }
 
             try {
-                isCoastal = await checkTsunamiRisk(lat, lon);
-            } catch (err) {
-                console.warn('Tsunami risk check failed, defaulting to false:', err && err.message);
-                isCoastal = false;
-            }
-
-            try {
-                recentSeismicActivity = await getSeismicActivity(lat, lon);
+                const { radius, feedWindow } = seismicContextOptions();
+                const result = await getSeismicActivity(lat, lon, radius, feedWindow);
+                recentSeismicActivity = result.value;
+                dataSources.seismic = result.source;
             } catch (err) {
                 console.warn('Seismic activity lookup failed, defaulting to empty array:', err && err.message);
                 recentSeismicActivity = [];
             }
         } else {
             elevation = 0;
-            isCoastal = false;
             recentSeismicActivity = [];
         }
+
+        // Ocean, shelf, sediment, crystalline rock or ice: sets the target density and strength for cratering
+        const raster = hasValidCoords ? await loadTargetRaster() : null;
+        let target = classifyTarget(raster, lat, lon, elevation);
+
+        // Over water, the seabed depth sets the water column; it also settles coastline cells the raster gets wrong
+        let waterDepth = 0;
+        if (target.water) {
+            let seabed = null;
+            try {
+                const result = await getBathymetry(lat, lon);
+                seabed = result.value;
+                dataSources.bathymetry = result.source;
+            } catch (err) {
+                console.warn('Bathymetry lookup failed:', err && err.message);
+            }
+            if (typeof seabed === 'number' && seabed !== 0) target = classifyTarget(raster, lat, lon, seabed);
+            if (target.water) {
+                waterDepth = seabed < 0 ? -seabed : elevation < 0 ? -elevation : target.typicalDepth;
+            }
+        }
         
-        // Calculate atmospheric entry effects
-        const finalVelocity = initialVelocity * Math.pow(0.7, Math.cos(angle * Math.PI / 180));
-        const impactEnergy = 0.5 * mass * Math.pow(finalVelocity, 2);
-        
-        // Convert to TNT equivalent for easy comparison
-        const tntEquivalent = impactEnergy / 4.184e9;
-        
-        // Calculate crater size with environmental adjustments
-        const terrainMultiplier = elevation < 0 ? 0.8 : (elevation > 2000 ? 1.2 : 1.0);
-        const craterDiameter = Math.pow(impactEnergy / 1e15, 0.26) * 1000 * terrainMultiplier;
-        
-        // Calculate blast and shockwave effects
-        const blastRadius = Math.pow(impactEnergy / 4.184e12, 0.33) * 1000;
-        const shockwaveRadius = blastRadius * 2.5;
-        
-        // Calculate seismic magnitude (Richter scale)
-        const seismicMagnitude = 0.67 * (Math.log10(tntEquivalent) - 0.645);
-        
-        // Calculate tsunami wave height if coastal
-        const tsunamiHeight = isCoastal ? Math.pow(impactEnergy / 1e15, 0.25) * 10 : 0;
+        // Entry, crater, blast, seismic and tsunami effects all come from impact-physics.js
+        const scenario = calculateImpactScenario({ diameter: radius * 2, density, velocity: speed, angle, elevation, target, waterDepth });
+
+        // Wave run-up and arrival time along the coasts
+        const coastalTsunami = scenario.waterCavity.diameter > 0
+            ? calculateCoastalTsunami({ lat, lon, cavityDiameter: scenario.waterCavity.diameter, waterDepth }, await loadCoastalCities(), raster)
+            : [];
+        // People inside the residential-collapse zone, integrated over the gridded population
+        const populationGrid = hasValidCoords ? await loadPopulationGrid() : null;
+        const exposure = {
+            population: estimatePopulationInZone(populationGrid, lat, lon, scenario.blastRadius / 1000),
+            dataset: populationGrid ? `${populationGrid.dataset} (${populationGrid.resolution}°)` : null
+        };
+        // Deaths and injuries from each hazard at the distances where people actually live
+        const casualties = estimateCasualties(scenario, { lat, lon, grid: populationGrid, coastalTsunami });
+        // Built capital destroyed in the same rings, priced by the country each sample falls in
+        const { countries, locateCountry } = await loadCountryEconomics();
+        const economicLoss = estimateEconomicLoss(scenario, { lat, lon, grid: populationGrid, coastalTsunami, countries, locateCountry });
+        // The country under ground zero and how each damage ring divides among countries
+        const boundaries = hasValidCoords ? await loadCountryBoundaries() : [];
+        const countryExposure = {
+            available: boundaries.length > 0,
+            groundZero: boundaries.length ? countryAt(boundaries, lat, lon) : null,
+            rings: boundaries.length
+                ? impactContours(scenario).filter(c => c.radius > 0).map(c => ({
+                    id: c.id,
+                    label: c.label,
+                    radius: c.radius,
+                    ...zoneCountryShares(boundaries, lat, lon, c.radius / 1000)
+                }))
+                : []
+        };
+        const cityShaking = scenario.seismic && hasValidCoords
+            ? estimateCityShaking(lat, lon, scenario.seismic, await loadCoastalCities())
+            : [];
         
         return {
-            energy: impactEnergy,
-            craterDiameter,
-            blastRadius,
-            shockwaveRadius,
-            tntEquivalent,
-            seismicMagnitude,
-            tsunamiHeight,
+            ...scenario,
+            target,
             elevation,
-            isCoastal,
-            recentSeismicActivity
+            coastalTsunami,
+            cityShaking,
+            exposure,
+            casualties,
+            economicLoss,
+            countryExposure,
+            recentSeismicActivity,
+            dataSources
         };
     }
 
+    // Modified Mercalli intensity at every bundled city inside the light-shaking (MMI IV) radius, nearest first
+    function estimateCityShaking(lat, lon, seismic, coastalCities) {
+        const named = new Set(MAJOR_CITIES.map(c => c.name));
+        const cities = [...MAJOR_CITIES, ...coastalCities.filter(c => !named.has(c.name))];
+        return cities
+            .map(city => {
+                const distance = haversineKm(lat, lon, city.lat, city.lon);
+                return { name: city.name, distance, intensity: mercalliIntensity(calculateEffectiveMagnitude(seismic.magnitude, distance)) };
+            })
+            .filter(city => city.intensity && city.distance <= seismic.lightShaking)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
     async function createImpact(coords) {
         // Validate coords (should be [lon, lat])
         if (!coords || !Array.isArray(coords) || coords.length < 2 || isNaN(coords[0]) || isNaN(coords[1])) {
@@ -813,16 +1612,12 @@
             return;
         }
 
-        const craterRadiusKm = impact.craterDiameter / 2 / 1000;
-        const blastRadiusKm = impact.blastRadius / 1000;
-
-        const blastColor = (alpha) => `rgba(255, 152, 0, ${alpha})`;
-        const craterColor = (alpha) => `rgba(255, 23, 68, ${alpha})`;
-        const impactLayers = [
-            { lat: lat, lng: lon, maxR: Number(blastRadiusKm) || 0.1, color: (t) => blastColor(1-t), propagationSpeed: 10, period: 400},
-            { lat: lat, lng: lon, maxR: Number(craterRadiusKm) || 0.05, color: (t) => craterColor(1-t), propagationSpeed: 0.5, period: 50},
-        ]
+        const contours = impactContours(impact);
+        const { layers: impactLayers, labels: contourLabels } = createDamageContours(lat, lon, contours);
         console.log('createImpact: applying layers', { lat, lon, impactLayers });
+        try { globe.labelsData([...contourLabels, ...createTsunamiCityLabels(impact.coastalTsunami)]); } catch (e) { /* labels layer unavailable */ }
+        showAffectedCountries(impact.countryExposure);
+        updateLegend(contours.filter(c => c.radius > 0).map(c => ({ rgb: CONTOUR_COLORS[c.id], label: c.label, radius: c.radius })));
 
         // Update globe layers
         try {
@@ -844,9 +1639,14 @@
 
         // No point markers — visualization uses flat rings/disks via customLayerData only
 
+        showTsunamiTimeline(lat, lon, impact);
+        seismicContextCenter = { lat, lon };
+        showRecentQuakes(impact.recentSeismicActivity);
+        renderSeismicContext(impact.recentSeismicActivity, impact.dataSources.seismic);
+
         // Add 3D explosion effect based on impact energy
         try {
-            createImpactExplosion(lat, lon, impact.energy);
+            createImpactExplosion(lat, lon, impact);
         } catch (e) {
             console.warn('Could not create impact explosion:', e && e.message);
         }
@@ -857,24 +1657,249 @@
         try { showImpactFacts(lat, lon, impact); } catch (e) { console.warn('Could not show impact facts:', e && e.message); }
     }
 
+    // Ring colors for each damage contour id (see DAMAGE_THRESHOLDS in impact-physics.js)
+    const CONTOUR_COLORS = {
+        crater: '255, 23, 68',
+        concrete: '183, 28, 28',
+        residential: '255, 152, 0',
+        windows: '255, 235, 59',
+        psi20: '255, 23, 68',
+        psi10: '255, 87, 34',
+        psi4: '255, 152, 0',
+        psi1: '255, 235, 59',
+        burn3: '156, 39, 176',
+        burn2: '233, 30, 99',
+        burn1: '255, 128, 171',
+        ejecta10m: '121, 85, 72',
+        ejecta1m: '141, 110, 99',
+        ejecta10cm: '161, 136, 127',
+        ejecta1cm: '188, 170, 164',
+        mmi10: '0, 105, 92',
+        mmi9: '0, 137, 123',
+        mmi7: '38, 166, 154',
+        mmi6: '77, 182, 172',
+        mmi4: '128, 203, 196'
+    };
+
+    // An airburst leaves no crater: show the ground overpressure and burn contours under the
+    // burst point instead. A ground impact shows its crater rim, the ejecta blanket thickness
+    // contours, the named damage thresholds and the Mercalli shaking bands.
+    function impactContours(impact) {
+        return impact.outcome === 'airburst'
+            ? impact.airburstDamage
+            : [
+                { id: 'crater', kind: 'crater', label: 'Crater rim', radius: impact.craterDiameter / 2 },
+                ...impact.crater.ejectaContours.map(c => ({ ...c, kind: 'ejecta' })),
+                ...impact.damageRadii,
+                ...(impact.seismic ? impact.seismic.intensityBands : [])
+            ];
+    }
+
+    // Highlight every country a damage ring reaches, ground zero's the strongest; each tooltip
+    // names the outermost ring's share in that country
+    function showAffectedCountries(countryExposure) {
+        if (!globe || typeof globe.polygonsData !== 'function') return;
+        if (!countryExposure || !countryExposure.available) {
+            globe.polygonsData([]);
+            return;
+        }
+        loadCountryBoundaries().then(boundaries => {
+            const outer = countryExposure.rings.reduce((widest, ring) => (!widest || ring.radius > widest.radius ? ring : widest), null);
+            const touched = new Set(countryExposure.rings.flatMap(ring => ring.countries.map(c => c.iso)));
+            const groundZero = countryExposure.groundZero && countryExposure.groundZero.iso;
+            globe.polygonsData(boundaries
+                .filter(country => touched.has(country.iso) || country.iso === groundZero)
+                .map(country => {
+                    const share = outer && outer.countries.find(c => c.iso === country.iso);
+                    const isGroundZero = country.iso === groundZero;
+                    return {
+                        geometry: country.geometry,
+                        capColor: isGroundZero ? 'rgba(255, 82, 82, 0.35)' : 'rgba(255, 171, 64, 0.22)',
+                        strokeColor: isGroundZero ? 'rgba(255, 82, 82, 0.9)' : 'rgba(255, 171, 64, 0.8)',
+                        label: share ? `${country.name}: ${formatShare(share.share)} of the ${outer.label.toLowerCase()} zone` : country.name
+                    };
+                }));
+        });
+    }
+
+    // One ring per damage contour, each labeled at its edge (pressure and crater to the north,
+    // burns to the south, ejecta to the east and shaking to the west so the sets of labels do not collide)
+    function createDamageContours(lat, lon, contours) {
+        const layers = [];
+        const labels = [];
+        contours.forEach(({ id, kind, label, radius }) => {
+            if (!(radius > 0)) return;
+            const rgb = CONTOUR_COLORS[id] || '255, 255, 255';
+            const maxR = kmToArcDegrees(radius / 1000);
+            const side = kind === 'thermal' ? -1 : 1;
+            const sideways = kind === 'ejecta' ? 1 : kind === 'seismic' ? -1 : 0;
+            layers.push({ lat, lng: lon, maxR, color: (t) => `rgba(${rgb}, ${0.9 * (1 - t)})`, propagationSpeed: maxR / 1.5, period: 1500 });
+            labels.push({
+                lat: sideways ? lat : Math.max(-90, Math.min(90, lat + side * maxR)),
+                lng: sideways ? lon + sideways * maxR / Math.max(0.01, Math.cos(lat * Math.PI / 180)) : lon,
+                text: `${label} (${formatDistance(radius)})`,
+                color: `rgba(${rgb}, 0.95)`,
+                size: Math.max(0.02, maxR * 0.12)
+            });
+        });
+        return { layers, labels };
+    }
+
+    // Cities reached by a tsunami of at least this run-up (m) are listed and marked on the globe.
+    // Run-up and offshore wave heights share one color scale.
+    const TSUNAMI_MIN_RUN_UP = 0.5;
+    const TSUNAMI_HEIGHT_COLORS = [
+        { min: 10, rgb: '244, 67, 54' },
+        { min: 3, rgb: '255, 152, 0' },
+        { min: 1, rgb: '0, 229, 255' },
+        { min: 0, rgb: '129, 212, 250' }
+    ];
+
+    function tsunamiAffectedCities(coastalTsunami) {
+        return (coastalTsunami || []).filter(c => !c.shielded && c.runUp >= TSUNAMI_MIN_RUN_UP);
+    }
+
+    function formatTravelTime(seconds) {
+        return seconds < 3600 ? Math.round(seconds / 60) + ' min' : (seconds / 3600).toFixed(1) + ' h';
+    }
+
+    // One labeled point per affected coastal city, colored by run-up
+    function createTsunamiCityLabels(coastalTsunami) {
+        return tsunamiAffectedCities(coastalTsunami).map(city => {
+            const { rgb } = TSUNAMI_HEIGHT_COLORS.find(c => city.runUp >= c.min);
+            return {
+                lat: city.lat,
+                lng: city.lon,
+                text: `${city.name}: ${city.runUp.toFixed(1)} m, ${formatTravelTime(city.arrivalTime)}`,
+                color: `rgba(${rgb}, 0.95)`,
+                size: 0.5
+            };
+        });
+    }
+
+    // Tsunami timeline: an isochrone for every whole hour up to the scrubbed hour, the latest one
+    // bright as the current wavefront. The front moves at the source's shallow-water speed
+    // sqrt(g h) in every direction, so it ignores coastlines and changes in depth.
+    const TSUNAMI_MAX_HOURS = 24;
+    const TSUNAMI_PLAY_INTERVAL = 600;  // ms per hour of playback
+    let tsunamiTimeline = null;
+    let tsunamiPlayTimer = null;
+
+    function showTsunamiTimeline(lat, lon, impact) {
+        stopTsunamiPlayback();
+        if (!(impact.tsunami && impact.tsunami.sourceAmplitude > 0)) {
+            clearTsunamiTimeline();
+            return;
+        }
+
+        const speed = impact.tsunami.velocity;
+        // Past the antipode the front converges again; stop there or at TSUNAMI_MAX_HOURS
+        const hours = Math.max(1, Math.min(TSUNAMI_MAX_HOURS, Math.ceil(Math.PI * 6371e3 / speed / 3600)));
+        tsunamiTimeline = { lat, lon, speed, cavityDiameter: impact.waterCavity.diameter, waterDepth: impact.waterDepth, hours };
+
+        const slider = document.getElementById('tsunami-hour');
+        if (slider) {
+            slider.max = hours;
+            slider.value = 0;
+        }
+        const panel = document.getElementById('tsunami-timeline');
+        if (panel) panel.style.display = 'flex';
+        setTsunamiHour(0);
+        playTsunami();
+    }
+
+    function clearTsunamiTimeline() {
+        stopTsunamiPlayback();
+        tsunamiTimeline = null;
+        tsunamiPaths = [];
+        refreshPaths();
+        const panel = document.getElementById('tsunami-timeline');
+        if (panel) panel.style.display = 'none';
+    }
+
+    function setTsunamiHour(hour) {
+        if (!tsunamiTimeline) return;
+        const { lat, lon, speed, cavityDiameter, waterDepth } = tsunamiTimeline;
+
+        tsunamiPaths = [];
+        let frontText = 'impact';
+        for (let h = 1; h <= hour; h++) {
+            const distanceKm = speed * h * 3600 / 1000;
+            const height = calculateTsunamiEffects(cavityDiameter, waterDepth, distanceKm * 1000).height;
+            const { rgb } = TSUNAMI_HEIGHT_COLORS.find(c => height >= c.min);
+            const isFront = h === hour;
+            const label = `${h} h after impact: ${Math.round(distanceKm).toLocaleString()} km out, ${height.toFixed(1)} m offshore`;
+            tsunamiPaths.push({
+                kind: 'isochrone',
+                points: circleAround(lat, lon, distanceKm),
+                color: `rgba(${rgb}, ${isFront ? 0.95 : 0.35})`,
+                stroke: isFront ? 2 : 0.6,
+                label
+            });
+            if (isFront) frontText = label;
+        }
+        refreshPaths();
+
+        const valueEl = document.getElementById('tsunami-hour-value');
+        if (valueEl) valueEl.textContent = hour > 0 ? frontText : '0 h: impact';
+    }
+
+    function playTsunami() {
+        stopTsunamiPlayback();
+        const slider = document.getElementById('tsunami-hour');
+        const button = document.getElementById('tsunami-play');
+        if (!slider || !tsunamiTimeline) return;
+        if (parseInt(slider.value, 10) >= tsunamiTimeline.hours) slider.value = 0;
+        if (button) button.textContent = '⏸';
+
+        tsunamiPlayTimer = setInterval(() => {
+            const next = parseInt(slider.value, 10) + 1;
+            slider.value = next;
+            setTsunamiHour(next);
+            if (next >= tsunamiTimeline.hours) stopTsunamiPlayback();
+        }, TSUNAMI_PLAY_INTERVAL);
+    }
+
+    function stopTsunamiPlayback() {
+        if (tsunamiPlayTimer) clearInterval(tsunamiPlayTimer);
+        tsunamiPlayTimer = null;
+        const button = document.getElementById('tsunami-play');
+        if (button) button.textContent = '▶';
+    }
+
+    // Rebuild the legend from the rings actually drawn: [{ rgb, label, radius (m) }]
+    function updateLegend(entries) {
+        const legend = document.getElementById('legend');
+        if (!legend) return;
+        legend.innerHTML = '';
+        entries.forEach(({ rgb, label, radius }) => {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            const swatch = document.createElement('div');
+            swatch.className = 'legend-color';
+            swatch.style.background = `rgba(${rgb}, 0.8)`;
+            const text = document.createElement('span');
+            text.textContent = `${label}: ${formatDistance(radius)}`;
+            item.appendChild(swatch);
+            item.appendChild(text);
+            legend.appendChild(item);
+        });
+    }
+
+    function formatDistance(meters) {
+        return meters >= 1000 ? (meters / 1000).toFixed(1) + ' km' : Math.round(meters) + ' m';
+    }
+
     // Create 3D explosion effect at impact location based on crater size
-    function createImpactExplosion(lat, lon, impactEnergy) {
+    function createImpactExplosion(lat, lon, impact) {
         try {
             if (!globe) return;
 
             const scene = (globe.scene && globe.scene()) || globe._scene || null;
             if (!scene) return;
 
-            // Calculate crater diameter to base explosion size on
-            const diameter = parseFloat(document.getElementById('diameter')?.value) || 25;
-            const density = parseFloat(document.getElementById('material')?.value) || 3000;
-            const speed = parseFloat(document.getElementById('speed')?.value) || 20;
-            const mass = (4/3) * Math.PI * Math.pow(diameter/2, 3) * density;
-            const finalVelocity = Math.sqrt(Math.pow(speed * 1000, 2) + Math.pow(11200, 2));
-            const craterDiameter = Math.pow(impactEnergy / 1e15, 0.26) * 1000; // meters
-            
-            // Make explosion 1.2x the size of the crater
-            const explosionDiameter = craterDiameter * 1.2; // meters
+            // Make explosion 1.2x the size of the crater; an airburst has no crater, so use its fireball
+            const explosionDiameter = impact.outcome === 'airburst' ? impact.fireballRadius * 2 : impact.craterDiameter * 1.2; // meters
             const globeRadiusUnits = (globe.getGlobeRadius ? globe.getGlobeRadius() : 100);
             const earthRadiusMeters = 6371000; // Earth radius in meters
             const baseScale = (explosionDiameter / earthRadiusMeters) * globeRadiusUnits * 50; // Scale to globe units
@@ -1083,59 +2108,12 @@
     
     // Check mitigation strategy selection
     const mitigationStrategy = document.getElementById('mitigation-strategy')?.value;
+    const mitigation = MITIGATION_ANIMATIONS[mitigationStrategy];
     
-    if (mitigationStrategy === 'kinetic') {
-        // Show kinetic impact mitigation animation
-        animateKineticMitigation(lat, lon).then((success) => {
-            if (success) {
-                // Mitigation successful - show deflected meteor or reduced impact
-                const instr = document.querySelector('.instruction');
-                if (instr) instr.textContent = 'Kinetic impactor successful! Asteroid deflected.';
-                // Hide impact facts since mitigation was successful
-                hideImpactFacts();
-                // Show reduced impact or miss
-                createReducedImpact([lon, lat]);
-            } else {
-                // Mitigation failed - impact effects already shown in animation
-                const instr = document.querySelector('.instruction');
-                if (instr) instr.textContent = 'Kinetic impactor failed! Asteroid impact occurred.';
-                createImpact([lon, lat]);
-            }
-        });
-    } else if (mitigationStrategy === 'nuclear') {
-        // Show nuclear standoff mitigation animation
-        animateNuclearMitigation(lat, lon).then((success) => {
-            if (success) {
-                // Mitigation successful - meteor vaporized
-                const instr = document.querySelector('.instruction');
-                if (instr) instr.textContent = 'Nuclear standoff successful! Asteroid vaporized.';
-                // Hide impact facts since mitigation was successful
-                hideImpactFacts();
-                // No impact - meteor was destroyed
-            } else {
-                // Mitigation failed - impact effects already shown in animation
-                const instr = document.querySelector('.instruction');
-                if (instr) instr.textContent = 'Nuclear standoff failed! Asteroid impact occurred.';
-                createImpact([lon, lat]);
-            }
-        });
-    } else if (mitigationStrategy === 'gravity') {
-        // Show gravity tractor mitigation animation
-        animateGravityTractor(lat, lon).then((success) => {
-            if (success) {
-                // Mitigation successful - meteor deflected away from Earth
-                const instr = document.querySelector('.instruction');
-                if (instr) instr.textContent = 'Gravity tractor successful! Asteroid trajectory altered.';
-                // Hide impact facts since mitigation was successful
-                hideImpactFacts();
-                // No impact - meteor deflected away
-            } else {
-                // Mitigation failed - impact effects already shown in animation
-                const instr = document.querySelector('.instruction');
-                if (instr) instr.textContent = 'Gravity tractor failed! Asteroid impact occurred.';
-                createImpact([lon, lat]);
-            }
-        });
+    if (mitigation) {
+        // The calculation decides the ending; the animation only plays it out
+        const outcome = planMitigationOutcome(mitigationStrategy, lat, lon);
+        mitigation.animate(lat, lon, outcome).then(() => showMitigationOutcome(mitigation.name, outcome));
     } else if (mitigationStrategy === 'none') {
         // No mitigation - direct impact with clear message
         const instr = document.querySelector('.instruction');
@@ -1160,10 +2138,15 @@
 
                 // Compute start and end positions in globe units
                 const surfacePos = globe.getCoords(targetLat, targetLng, 0.0);
-                // Start position: a point above the surface along the surface normal
-                const globeRadiusUnits = (globe.getGlobeRadius ? globe.getGlobeRadius() : 100);
-                const startAlt = globeRadiusUnits * 3.0; // start 3x globe radius away (far above)
-                const startPos = globe.getCoords(targetLat, targetLng, startAlt / globeRadiusUnits);
+                // Start position: 3 globe radii back along the orbit's approach path when the target
+                // came from orbit geometry, otherwise straight above the surface along the normal
+                let startPos;
+                if (approachGeometry && approachGeometry.lat === targetLat && approachGeometry.lon === targetLng) {
+                    const start = approachPathPoint(approachGeometry, 3.0);
+                    startPos = globe.getCoords(start.lat, start.lon, start.altitude);
+                } else {
+                    startPos = globe.getCoords(targetLat, targetLng, 3.0);
+                }
 
                 // Create meteor as a single circular sprite so it behaves as one circle that scales with diameter
                 const diameterVal = parseFloat(document.getElementById('diameter')?.value) || 25;
@@ -1345,7 +2328,7 @@
     }
 
     // Animate kinetic impactor hitting the meteor and deflecting it
-    function animateKineticMitigation(targetLat, targetLng) {
+    function animateKineticMitigation(targetLat, targetLng, outcome) {
         return new Promise((resolve) => {
             try {
                 if (!globe) return resolve(false);
@@ -1354,7 +2337,6 @@
                 if (!scene) return resolve(false);
 
                 // Calculate positions
-                const surfacePos = globe.getCoords(targetLat, targetLng, 0.0);
                 const globeRadiusUnits = (globe.getGlobeRadius ? globe.getGlobeRadius() : 100);
                 const interceptAlt = globeRadiusUnits * 1.5; // Intercept halfway down
                 const interceptPos = globe.getCoords(targetLat, targetLng, interceptAlt / globeRadiusUnits);
@@ -1453,18 +2435,10 @@
                     return point;
                 }
 
-                // Calculate physics-based kinetic effectiveness upfront
-                const diameter = parseFloat(document.getElementById('diameter')?.value) || 25;
-                const density = parseFloat(document.getElementById('material')?.value) || 3000;
-                const radius = diameter / 2;
-                const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
-                const speed = parseFloat(document.getElementById('speed')?.value) || 20;
-                const finalVelocity = Math.sqrt(Math.pow(speed * 1000, 2) + Math.pow(11200, 2));
-                const impactEnergy = 0.5 * mass * Math.pow(finalVelocity, 2);
-                
-                const effectiveness = calculateMitigationEffectiveness('kinetic', mass, impactEnergy, diameter);
-                // Mitigation strategies are always effective - no random failure
-                const willSucceed = true;
+                // Ending from the mitigation calculation: a miss flies off, a partial deflection
+                // still comes down, at the shifted impact point
+                const missesEarth = outcome.outcome !== 'impact';
+                const landingPos = globe.getCoords(outcome.landing.lat, outcome.landing.lon, 0.0);
 
                 const duration = 4000; // 4 seconds for the sequence (increased from 2.5s)
                 const startTime = performance.now();
@@ -1564,7 +2538,7 @@
                     } else if (t < 0.80 && !impactOccurred) {
                         // Phase 2: Impact moment - flash effect and direction change
                         impactOccurred = true;
-                        meteorDeflected = willSucceed; // Only deflect if mitigation will succeed
+                        meteorDeflected = missesEarth;
                         
                         // Create impact flash
                         const flashGeometry = new THREE.SphereGeometry(globeRadiusUnits * 0.05, 8, 6);
@@ -1599,7 +2573,7 @@
                         
                     } else if (meteorDeflected) {
                         // Phase 3: Deflected meteor flies away
-                        const deflectionProgress = (t - 0.80) / 0.20;
+                        const deflectionProgress = Math.max(0, (t - 0.80) / 0.20);
                         const deflectedPos = new THREE.Vector3().copy(interceptPos);
                         deflectedPos.add(deflectionDirection.clone().multiplyScalar(deflectionProgress * globeRadiusUnits * 2));
                         meteor.position.copy(deflectedPos);
@@ -1611,8 +2585,8 @@
                         meteor.material.opacity = Math.max(0, 0.9 - deflectionProgress);
                     } else if (!meteorDeflected) {
                         // Phase 3: Failed deflection - meteor continues to surface
-                        const impactProgress = (t - 0.80) / 0.20;
-                        const finalPos = new THREE.Vector3().lerpVectors(interceptPos, surfacePos, impactProgress);
+                        const impactProgress = Math.max(0, (t - 0.80) / 0.20);
+                        const finalPos = new THREE.Vector3().lerpVectors(interceptPos, landingPos, impactProgress);
                         meteor.position.copy(finalPos);
                         
                         // Update meteor trail during final descent
@@ -1634,8 +2608,7 @@
                             meteorTrail.dispose(); // Clean up meteor trail
                         } catch (e) {}
                         
-                        // Return the pre-calculated success result
-                        resolve(willSucceed);
+                        resolve(missesEarth);
                     }
                 }
                 
@@ -1648,8 +2621,8 @@
         });
     }
 
-    // Animate nuclear standoff mitigation - launches nuclear device that vaporizes the meteor
-    function animateNuclearMitigation(targetLat, targetLng) {
+    // Animate nuclear standoff mitigation - launches nuclear device whose blast pushes the meteor aside
+    function animateNuclearMitigation(targetLat, targetLng, outcome) {
         return new Promise((resolve) => {
             try {
                 if (!globe) return resolve(false);
@@ -1658,7 +2631,6 @@
                 if (!scene) return resolve(false);
 
                 // Calculate positions
-                const surfacePos = globe.getCoords(targetLat, targetLng, 0.0);
                 const globeRadiusUnits = (globe.getGlobeRadius ? globe.getGlobeRadius() : 100);
                 const detonationAlt = globeRadiusUnits * 2.0; // Detonate higher up for standoff
                 const detonationPos = globe.getCoords(targetLat, targetLng, detonationAlt / globeRadiusUnits);
@@ -1755,24 +2727,17 @@
                     return point;
                 }
 
-                // Calculate physics-based nuclear effectiveness upfront
-                const diameter = parseFloat(document.getElementById('diameter')?.value) || 25;
-                const density = parseFloat(document.getElementById('material')?.value) || 3000;
-                const radius = diameter / 2;
-                const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
-                const speed = parseFloat(document.getElementById('speed')?.value) || 20;
-                const finalVelocity = Math.sqrt(Math.pow(speed * 1000, 2) + Math.pow(11200, 2));
-                const impactEnergy = 0.5 * mass * Math.pow(finalVelocity, 2);
-                
-                const effectiveness = calculateMitigationEffectiveness('nuclear', mass, impactEnergy, diameter);
-                // Mitigation strategies are always effective - no random failure
-                const willSucceed = true;
+                // Ending from the mitigation calculation: a miss flies off, a partial deflection
+                // still comes down, at the shifted impact point
+                const missesEarth = outcome.outcome !== 'impact';
+                const landingPos = globe.getCoords(outcome.landing.lat, outcome.landing.lon, 0.0);
 
                 const duration = 4000; // Same 4 second duration
                 const startTime = performance.now();
                 
                 let detonationOccurred = false;
-                let meteorVaporized = false;
+                let meteorDeflected = false;
+                const deflectionDirection = new THREE.Vector3(-0.6, 0.7, 0.4).normalize(); // Away from the blast
 
                 function frame(now) {
                     const t = Math.min(1, (now - startTime) / duration);
@@ -1856,7 +2821,7 @@
                     } else if (t < 0.85 && !detonationOccurred) {
                         // Phase 2: Nuclear detonation - MUCH bigger explosion
                         detonationOccurred = true;
-                        meteorVaporized = willSucceed; // Only vaporize if mitigation will succeed
+                        meteorDeflected = missesEarth;
                         
                         // Create 3D nuclear explosion with multiple spheres
                         const explosionSpheres = [];
@@ -1979,19 +2944,22 @@
                         // Remove nuclear device 
                         scene.remove(nuke);
                         
-                        if (meteorVaporized) {
-                            // Successful vaporization - remove meteor
-                            scene.remove(meteor);
-                            meteorTrail.dispose(); // Clean up meteor trail when vaporized
-                        }
+                    } else if (meteorDeflected) {
+                        // Phase 3: Ablation recoil pushes the meteor off course while the explosion dissipates
+                        const deflectionProgress = Math.max(0, (t - 0.85) / 0.15);
+                        const deflectedPos = new THREE.Vector3().copy(detonationPos);
+                        deflectedPos.add(deflectionDirection.clone().multiplyScalar(deflectionProgress * globeRadiusUnits * 2));
+                        meteor.position.copy(deflectedPos);
+                        
+                        // Update meteor trail during deflection
+                        meteorTrail.update(meteor.position);
                         
-                    } else if (meteorVaporized) {
-                        // Phase 3: Aftermath - explosion dissipates (successful vaporization)
-                        // Nothing needed - meteor is gone
-                    } else if (!meteorVaporized && detonationOccurred) {
-                        // Phase 3: Failed vaporization - meteor continues to surface
-                        const failedProgress = (t - 0.85) / 0.15;
-                        const finalPos = new THREE.Vector3().lerpVectors(detonationPos, surfacePos, failedProgress);
+                        // Fade out meteor as it moves away
+                        meteor.material.opacity = Math.max(0, 0.9 - deflectionProgress);
+                    } else if (detonationOccurred) {
+                        // Phase 3: Failed deflection - meteor continues to surface
+                        const failedProgress = Math.max(0, (t - 0.85) / 0.15);
+                        const finalPos = new THREE.Vector3().lerpVectors(detonationPos, landingPos, failedProgress);
                         meteor.position.copy(finalPos);
                         
                         // Update meteor trail during final descent
@@ -2013,8 +2981,7 @@
                             meteorTrail.dispose(); // Clean up meteor trail
                         } catch (e) {}
                         
-                        // Return the pre-calculated success result
-                        resolve(willSucceed);
+                        resolve(missesEarth);
                     }
                 }
                 
@@ -2028,7 +2995,7 @@
     }
 
     // Animate gravity tractor mitigation - spacecraft pulls meteor off course gradually
-    function animateGravityTractor(targetLat, targetLng) {
+    function animateGravityTractor(targetLat, targetLng, outcome) {
         return new Promise((resolve) => {
             try {
                 if (!globe) return resolve(false);
@@ -2101,18 +3068,10 @@
                 const thruster = new THREE.Mesh(thrusterGeometry, thrusterMaterial);
                 scene.add(thruster);
 
-                // Calculate physics-based gravity tractor effectiveness upfront
-                const diameter = parseFloat(document.getElementById('diameter')?.value) || 25;
-                const density = parseFloat(document.getElementById('material')?.value) || 3000;
-                const radius = diameter / 2;
-                const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
-                const speed = parseFloat(document.getElementById('speed')?.value) || 20;
-                const finalVelocity = Math.sqrt(Math.pow(speed * 1000, 2) + Math.pow(11200, 2));
-                const impactEnergy = 0.5 * mass * Math.pow(finalVelocity, 2);
-                
-                const effectiveness = calculateMitigationEffectiveness('gravity', mass, impactEnergy, diameter);
-                // Mitigation strategies are always effective - no random failure
-                const willSucceed = true;
+                // Ending from the mitigation calculation: a miss flies off, a partial deflection
+                // still comes down, at the shifted impact point
+                const missesEarth = outcome.outcome !== 'impact';
+                const landingPos = globe.getCoords(outcome.landing.lat, outcome.landing.lon, 0.0);
 
                 const duration = 8000; // 8 seconds for gradual deflection and slower escape
                 const startTime = performance.now();
@@ -2174,7 +3133,7 @@
                         const thrusterPulse = 1 + 0.5 * Math.sin(t * Math.PI * 12);
                         thruster.scale.set(thrusterPulse, thrusterPulse, thrusterPulse);
                         
-                    } else if (willSucceed) {
+                    } else if (missesEarth) {
                         // Phase 2: Successful deflection - Meteor escapes Earth's gravity and flies away (40% of animation - much slower)
                         const escapeProgress = (t - 0.6) / 0.4;
                         
@@ -2215,7 +3174,7 @@
                         
                         // Meteor overcomes the tractor pull and continues to surface
                         const currentMeteorPos = meteor.position.clone();
-                        const finalPos = new THREE.Vector3().lerpVectors(currentMeteorPos, surfacePos, failedProgress);
+                        const finalPos = new THREE.Vector3().lerpVectors(currentMeteorPos, landingPos, failedProgress);
                         meteor.position.copy(finalPos);
                         
                         // Update meteor trail during final descent
@@ -2254,8 +3213,7 @@
                             meteorTrail.dispose(); // Clean up meteor trail
                         } catch (e) {}
                         
-                        // Return the pre-calculated success result
-                        resolve(willSucceed);
+                        resolve(missesEarth);
                     }
                 }
                 
@@ -2268,82 +3226,76 @@
         });
     }
 
-    // Create reduced impact effect for successful mitigation
-    function createReducedImpact(coords) {
-        if (!coords || !Array.isArray(coords) || coords.length < 2) {
-            console.warn('createReducedImpact: invalid coordinates', coords);
-            return;
+    const MITIGATION_ANIMATIONS = {
+        kinetic: { name: 'Kinetic impactor', animate: animateKineticMitigation },
+        nuclear: { name: 'Nuclear standoff', animate: animateNuclearMitigation },
+        gravity: { name: 'Gravity tractor', animate: animateGravityTractor }
+    };
+
+    // Where a partially deflected asteroid comes down: its path moves missDistance across the
+    // approach, which carries the hit asin(miss / R) of arc from the original point - downrange
+    // along the approach ground track when the orbit geometry is known, otherwise eastward.
+    function shiftedImpactPoint(targetLat, targetLon, missDistance) {
+        const arcKm = (EARTH_RADIUS / 1000) * Math.asin(Math.min(1, Math.max(0, missDistance) / EARTH_RADIUS));
+        let bearing = Math.PI / 2;
+        if (approachGeometry && approachGeometry.lat === targetLat && approachGeometry.lon === targetLon) {
+            const back = approachPathPoint(approachGeometry, 0.05);
+            const toRad = Math.PI / 180;
+            const dLon = (targetLon - back.lon) * toRad;
+            bearing = Math.atan2(Math.sin(dLon) * Math.cos(targetLat * toRad),
+                Math.cos(back.lat * toRad) * Math.sin(targetLat * toRad) - Math.sin(back.lat * toRad) * Math.cos(targetLat * toRad) * Math.cos(dLon));
         }
-        
-        const [lon, lat] = coords;
-        console.log('createReducedImpact: creating minimal impact at', { lat, lon });
-        
-        // Calculate much smaller impact effects (10% of original)
-        const originalDiameter = parseFloat(document.getElementById('diameter')?.value) || 25;
-        const reducedDiameter = originalDiameter * 0.1; // 10% of original size
-        
-        // Use existing impact calculation but with reduced parameters
-        const reducedImpact = calculateImpactEffects(reducedDiameter);
-        
-        if (!reducedImpact) return;
-        
-        const craterRadiusKm = (reducedImpact.craterDiameter / 2 / 1000) || 0.01;
-        const blastRadiusKm = (reducedImpact.blastRadius / 1000) || 0.05;
-        
-        // Create much smaller, dimmer impact layers
-        const blastColor = (alpha) => `rgba(100, 200, 100, ${alpha * 0.5})`; // Green, dimmer
-        const craterColor = (alpha) => `rgba(100, 150, 200, ${alpha * 0.3})`; // Blue, much dimmer
-        
-        const impactLayers = [
-            { lat: lat, lng: lon, maxR: Number(blastRadiusKm), color: (t) => blastColor(1-t), propagationSpeed: 5, period: 200},
-            { lat: lat, lng: lon, maxR: Number(craterRadiusKm), color: (t) => craterColor(1-t), propagationSpeed: 0.3, period: 100},
-        ];
-        
-        // Apply reduced impact visualization
-        try {
-            if (typeof globe.ringsData === 'function') {
-                globe
-                    .ringColor('color')
-                    .ringMaxRadius('maxR')
-                    .ringPropagationSpeed('propagationSpeed')
-                    .ringRepeatPeriod('period')
-                    .ringsData(impactLayers);
-            } else {
-                globe.customLayerData(impactLayers.map(l => ({ lat: l.lat, lng: l.lng, radius: l.maxR, color: l.color, alt: 0.02, shape: 'ring', opacity: 0.3 })));
+        return destinationPoint(targetLat, targetLon, arcKm, bearing);
+    }
+
+    // Mitigation result for the current settings plus the ground point it leaves the asteroid aimed at
+    function planMitigationOutcome(method, targetLat, targetLon) {
+        const result = assessMitigation(method);
+        return {
+            ...result,
+            target: { lat: targetLat, lon: targetLon },
+            landing: shiftedImpactPoint(targetLat, targetLon, result.missDistance)
+        };
+    }
+
+    // Report a mitigation outcome once its animation has played, and show the impact if there is one
+    function showMitigationOutcome(name, outcome) {
+        const instr = document.querySelector('.instruction');
+        const clearance = formatDistance(outcome.missDistance - EARTH_RADIUS);
+
+        if (outcome.outcome === 'impact') {
+            const shift = haversineKm(outcome.target.lat, outcome.target.lon, outcome.landing.lat, outcome.landing.lon);
+            if (instr) {
+                instr.textContent = shift >= 1
+                    ? `${name} fell short! The asteroid was pushed ${formatDistance(shift * 1000)} and struck the shifted impact point.`
+                    : `${name} failed! Asteroid impact occurred.`;
             }
-        } catch (e) {
-            console.warn('Failed to set reduced impact visualization:', e && e.message);
+            createImpact([outcome.landing.lon, outcome.landing.lat]);
+            return;
         }
-        
-        // Show reduced impact info
-        updateImpactInfo(reducedImpact);
-        showImpactDisplay();
+
+        if (instr) {
+            instr.textContent = outcome.outcome === 'deflected'
+                ? `${name} successful! Asteroid deflected, passing ${clearance} above the surface.`
+                : `${name} averted the impact, but the asteroid passes only ${clearance} above the surface - inside the safety margin.`;
+        }
+        // No impact: clear the previous impact's overlays
+        hideImpactFacts();
+        try { globe.ringsData([]); globe.labelsData([]); } catch (e) { /* layers unavailable */ }
+        showAffectedCountries(null);
+        clearTsunamiTimeline();
+        updateLegend([]);
     }
 
-    // Helper function to calculate impact effects (reusable)
+    // Impact effects for the current slider values at a given diameter, without the location
+    // lookups calculateImpact needs (same impact-physics.js pipeline)
     function calculateImpactEffects(diameter) {
         try {
             const density = parseFloat(document.getElementById('material')?.value) || 3000;
             const speed = parseFloat(document.getElementById('speed')?.value) || 20;
             const angle = parseFloat(document.getElementById('angle')?.value) || 45;
             
-            const radius = diameter / 2;
-            const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
-            const impactEnergy = 0.5 * mass * Math.pow(speed * 1000, 2);
-            
-            // Terrain multiplier based on impact location (simplified)
-            const terrainMultiplier = 1.0; // Could be enhanced based on location
-            
-            const craterDiameter = Math.pow(impactEnergy / 1e15, 0.26) * 1000 * terrainMultiplier;
-            const blastRadius = Math.pow(impactEnergy / 1e12, 0.33) * 1000;
-            const tntEquivalent = impactEnergy / 4.184e15;
-            
-            return {
-                impactEnergy,
-                craterDiameter,
-                blastRadius,
-                tntEquivalent
-            };
+            return calculateImpactScenario({ diameter, density, velocity: speed, angle });
         } catch (error) {
             console.warn('Error calculating impact effects:', error);
             return null;
@@ -2352,121 +3304,171 @@
 
     // Presets and historic event UI have been removed; no preset helper functions remain.
 
-    // Calculate physics-based mitigation effectiveness
-    function calculateMitigationEffectiveness(method, meteorMass, meteorEnergy, meteorDiameter) {
-        const impactorMass = parseFloat(document.getElementById('impactor-mass')?.value) || 500;
-        const impactorVelocity = parseFloat(document.getElementById('impactor-velocity')?.value) || 10;
-        const spacecraftMass = parseFloat(document.getElementById('spacecraft-mass')?.value) || 1000;
-        const hoverDistance = parseFloat(document.getElementById('hover-distance')?.value) || 100;
-        const nuclearYield = parseFloat(document.getElementById('yield')?.value) || 1;
-        const standoffDistance = parseFloat(document.getElementById('standoff')?.value) || 1000;
-
-        switch(method) {
-            case 'kinetic':
-                // Kinetic effectiveness based on momentum transfer
-                const meteorSpeed = parseFloat(document.getElementById('speed')?.value) || 20;
-                const meteorVelocity = Math.sqrt(Math.pow(meteorSpeed * 1000, 2) + Math.pow(11200, 2)); // Actual meteor velocity
-                const impactorEnergy = 0.5 * impactorMass * Math.pow(impactorVelocity * 1000, 2);
-                const momentumRatio = (impactorMass * impactorVelocity * 1000) / (meteorMass * meteorVelocity);
-                const energyRatio = impactorEnergy / meteorEnergy;
-                
-                // Effectiveness increases with momentum and energy ratios
-                let kineticEff = Math.min(0.98, momentumRatio * 3 + energyRatio * 0.8); // Increased multipliers for better scaling
-                
-                // Scale effectiveness based on impactor-to-meteor mass ratio
-                const impactorMassRatio = impactorMass / meteorMass;
-                if (impactorMassRatio < 0.0001) kineticEff *= 0.1; // Very small impactor vs very large meteor
-                else if (impactorMassRatio < 0.001) kineticEff *= 0.3; // Small impactor vs large meteor
-                else if (impactorMassRatio < 0.01) kineticEff *= 0.7; // Medium impactor vs meteor
-                // Above 0.01 mass ratio, no penalty (realistic impactor size)
-                
-                return Math.max(0.05, kineticEff);
+    const ICE_DENSITY_LIMIT = 2000;  // kg/m³; material densities up to this ablate like ice
+    const DEFAULT_WARNING_DAYS = 3652.5;  // 10 years
+    // Lead times charted against the miss distance, log-spaced from a day to 50 years
+    const LEAD_TIME_MIN_DAYS = 1;
+    const LEAD_TIME_MAX_DAYS = 50 * 365.25;
+    const LEAD_TIME_SAMPLES = 80;
 
-            case 'nuclear':
-                // Nuclear effectiveness based on yield vs meteor mass
-                const yieldEnergy = nuclearYield * 4.184e15; // Convert MT to Joules
-                const yieldToMeteorRatio = yieldEnergy / meteorEnergy;
-                const standoffEffect = Math.max(0.3, 2000 / standoffDistance); // Closer = more effective
-                
-                let nuclearEff = Math.min(0.98, yieldToMeteorRatio * 1.2 + standoffEffect * 0.4); // Increased effectiveness
-                
-                // Apply penalties only for insufficient yield relative to meteor size
-                const yieldToMeteorMassRatio = (nuclearYield * 1e6) / meteorMass; // Convert MT to kg
-                if (yieldToMeteorMassRatio < 0.1) nuclearEff *= 0.2; // Very low yield vs meteor mass
-                else if (yieldToMeteorMassRatio < 1) nuclearEff *= 0.5; // Low yield vs meteor mass
-                else if (yieldToMeteorMassRatio < 10) nuclearEff *= 0.8; // Moderate yield vs meteor mass
-                // Above 10x mass ratio in yield, no penalty (guaranteed effective)
-                
-                return Math.max(0.1, nuclearEff);
-
-            case 'gravity':
-                // Gravity tractor effectiveness based on spacecraft mass and time
-                const duration = parseFloat(document.getElementById('duration')?.value) || 12;
-                const gravitationalForce = (6.674e-11 * spacecraftMass * meteorMass) / Math.pow(hoverDistance, 2);
-                const accelerationEffect = gravitationalForce / meteorMass;
-                const timeEffect = Math.pow(duration / 12, 1.5); // More time = much more effective
-                const spacecraftMassRatio = spacecraftMass / meteorMass;
-                
-                let gravityEff = Math.min(0.90, spacecraftMassRatio * 2000 + timeEffect * 0.6); // Increased cap and scaling
-                
-                // Time requirement scales with meteor mass
-                const requiredTimeRatio = duration / (meteorMass / 1e9); // Time in months per billion kg
-                if (requiredTimeRatio < 0.1) gravityEff *= 0.1; // Very insufficient time
-                else if (requiredTimeRatio < 1) gravityEff *= 0.4; // Insufficient time
-                else if (requiredTimeRatio < 5) gravityEff *= 0.8; // Adequate time
-                // Above 5x time ratio, no penalty (guaranteed effective with sufficient time)
-                
-                // Mass ratio penalty (more gradual)
-                if (spacecraftMassRatio < 0.000001) gravityEff *= 0.1; // Extremely small spacecraft
-                else if (spacecraftMassRatio < 0.00001) gravityEff *= 0.3; // Very small spacecraft
-                else if (spacecraftMassRatio < 0.0001) gravityEff *= 0.7; // Small spacecraft
-                
-                return Math.max(0.02, gravityEff);
+    function readMitigationInput(id, fallback) {
+        const value = parseFloat(document.getElementById(id)?.value);
+        return isFinite(value) ? value : fallback;
+    }
 
-            case 'none':
-                return 0.0;
+    // The warning-time slider holds log10(days), so one control spans days to decades
+    function mitigationWarningDays() {
+        return Math.pow(10, readMitigationInput('warning-time', Math.log10(DEFAULT_WARNING_DAYS)));
+    }
 
-            default:
-                return 0.5;
+    // Show a warning time (days) on both the log slider and the years-until-impact field, except the
+    // control it came from, and label the slider with the duration it now holds
+    function syncWarningTime(days, fromId) {
+        const slider = document.getElementById('warning-time');
+        const yearsEl = document.getElementById('years-to-impact');
+        if (slider && fromId !== 'warning-time') {
+            const logDays = Math.log10(Math.max(days, 1));
+            slider.value = Math.min(parseFloat(slider.max), Math.max(parseFloat(slider.min), logDays));
         }
+        if (yearsEl && fromId !== 'years-to-impact') yearsEl.value = Number((days / 365.25).toPrecision(3));
+        const label = document.getElementById('warning-time-value');
+        if (label) label.textContent = formatLeadTime(mitigationWarningDays());
     }
 
-    // Function to calculate effectiveness of mitigation strategies (exposed to UI)
-    function calculateMitigation() {
-        // Compute using current inputs and return structured results
-        const computeResults = () => {
-            const diameter = parseFloat(document.getElementById('diameter').value) || 0;
-            const density = parseFloat(document.getElementById('material').value) || 3000;
-            const speed = parseFloat(document.getElementById('speed').value) || 20;
-            const angle = parseFloat(document.getElementById('angle').value) || 45;
-            const radius = diameter / 2;
+    function formatLeadTime(days) {
+        if (days < 60) return Math.round(days) + (Math.round(days) === 1 ? ' day' : ' days');
+        if (days < 365.25) return Math.round(days / 30.44) + ' months';
+        const years = days / 365.25;
+        return (years < 10 ? years.toFixed(1) : Math.round(years)) + ' yr';
+    }
 
-            const mass = (4/3) * Math.PI * Math.pow(radius, 3) * density;
-            const impactEnergy = 0.5 * mass * Math.pow(speed * 1000, 2);
+    // Deflection as a function of warning time for a method with the current settings (see mitigation.js)
+    // Returns leadTime (s) => { deltaV (m/s), displacement (m) }
+    function mitigationDeflector(method) {
+        const diameter = readMitigationInput('diameter', 25);
+        const density = readMitigationInput('material', 3000);
+        const scenario = calculateImpactEffects(diameter);
+        const asteroid = {
+            mass: scenario ? scenario.mass : (4/3) * Math.PI * Math.pow(diameter / 2, 3) * density,
+            radius: diameter / 2,
+            material: density <= ICE_DENSITY_LIMIT ? 'ice' : 'rock'
+        };
 
-            const method = document.getElementById('mitigation-strategy')?.value || 'kinetic';
-            const effectiveness = calculateMitigationEffectiveness(method, mass, impactEnergy, diameter);
+        switch (method) {
+            case 'kinetic': {
+                const { deltaV } = calculateKineticImpact(asteroid, {
+                    mass: readMitigationInput('impactor-mass', 1000),
+                    velocity: readMitigationInput('impactor-velocity', 10) * 1000,
+                    beta: readMitigationInput('beta', 2)
+                });
+                return leadTime => ({ deltaV, displacement: deflectionAtEarth(deltaV, leadTime) });
+            }
+            case 'gravity': {
+                const tractor = {
+                    mass: readMitigationInput('spacecraft-mass', 1000),
+                    hoverDistance: readMitigationInput('hover-distance', 100)
+                };
+                const hoverTime = readMitigationInput('duration', 180) * 86400;
+                // With less warning than the planned hover time, the tractor tows until the impact date
+                return leadTime => {
+                    const tow = calculateGravityTractor(asteroid, tractor, Math.min(hoverTime, leadTime));
+                    return { deltaV: tow.deltaV, displacement: deflectionAtEarth(tow.deltaV, leadTime, tow.duration) };
+                };
+            }
+            case 'nuclear': {
+                const { deltaV } = calculateNuclearDeflection(asteroid, readMitigationInput('yield', 1), readMitigationInput('standoff', 100));
+                return leadTime => ({ deltaV, displacement: deflectionAtEarth(deltaV, leadTime) });
+            }
+            default:
+                return () => ({ deltaV: 0, displacement: 0 });
+        }
+    }
 
-            const energyReduction = impactEnergy * effectiveness;
-            const successProbability = method === 'none' ? 0.0 : effectiveness;
+    // Outcome of a method at the chosen warning time, with its miss distance over the whole lead-time range
+    function assessMitigation(method) {
+        const deflect = mitigationDeflector(method);
+        const margin = readMitigationInput('safety-margin', 1);
+        const warningTime = mitigationWarningDays() * 86400;
+        const { deltaV, displacement } = deflect(warningTime);
+
+        const curve = [];
+        for (let i = 0; i < LEAD_TIME_SAMPLES; i++) {
+            const days = LEAD_TIME_MIN_DAYS * Math.pow(LEAD_TIME_MAX_DAYS / LEAD_TIME_MIN_DAYS, i / (LEAD_TIME_SAMPLES - 1));
+            curve.push({ days, missDistance: deflect(days * 86400).displacement });
+        }
+        const result = assessDeflection(displacement, margin);
+        const viable = curve.find(point => point.missDistance >= result.requiredMissDistance);
 
-            const leadTime = method === 'none' ? 0 : (method === 'gravity' ? 3650 : (method === 'nuclear' ? 180 : 365));
+        return {
+            method,
+            deltaV,
+            warningTime,
+            curve,
+            // Shortest charted warning that clears the margin, or null if none within LEAD_TIME_MAX_DAYS
+            viableLeadDays: method === 'none' || !viable ? null : viable.days,
+            ...result
+        };
+    }
 
-            return {
-                impactEnergy,
-                energyReduction,
-                successProbability: successProbability * 100,
-                requiredLeadTime: leadTime,
-                method
-            };
+    // Log-log SVG chart of miss distance (Earth radii) against lead time for one assessMitigation result
+    function renderMissDistanceChart(results) {
+        const width = 300, height = 160;
+        const left = 46, right = 8, top = 8, bottom = 28;
+        const points = results.curve.filter(point => point.missDistance > 0);
+        if (points.length < 2) return '';
+
+        const requiredRadii = results.requiredMissDistance / EARTH_RADIUS;
+        const radii = points.map(point => point.missDistance / EARTH_RADIUS);
+        const yMax = Math.ceil(Math.log10(Math.max(...radii, requiredRadii * 2)));
+        const yMin = Math.min(Math.max(Math.floor(Math.log10(Math.min(...radii))), yMax - 8), yMax - 1);
+        const xMin = Math.log10(LEAD_TIME_MIN_DAYS), xMax = Math.log10(LEAD_TIME_MAX_DAYS);
+        const x = days => +(left + (Math.log10(days) - xMin) / (xMax - xMin) * (width - left - right)).toFixed(1);
+        const y = r => +(top + (yMax - Math.max(yMin, Math.log10(r))) / (yMax - yMin) * (height - top - bottom)).toFixed(1);
+
+        const path = points.map((point, k) => `${k ? 'L' : 'M'}${x(point.days)},${y(point.missDistance / EARTH_RADIUS)}`).join(' ');
+        const xTicks = [[1, '1 d'], [30.44, '1 mo'], [365.25, '1 yr'], [3652.5, '10 yr']];
+        const yStep = Math.ceil((yMax - yMin) / 4);
+        const yTicks = [];
+        for (let k = yMax; k >= yMin; k -= yStep) yTicks.push(k);
+
+        const warningDays = results.warningTime / 86400;
+        const current = results.missDistance > 0
+            ? `<circle class="chart-marker" cx="${x(warningDays)}" cy="${y(results.missDistance / EARTH_RADIUS)}" r="3.5"></circle>` : '';
+
+        return `
+            <svg class="mitigation-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Miss distance versus lead time">
+                ${yTicks.map(k => `<line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y(Math.pow(10, k))}" y2="${y(Math.pow(10, k))}"></line>
+                <text class="chart-label" x="${left - 4}" y="${y(Math.pow(10, k)) + 3}" text-anchor="end">${k >= 0 ? Math.pow(10, k).toLocaleString() : Math.pow(10, k).toPrecision(1)}</text>`).join('')}
+                ${xTicks.map(([days, label]) => `<line class="chart-grid" x1="${x(days)}" x2="${x(days)}" y1="${top}" y2="${height - bottom}"></line>
+                <text class="chart-label" x="${x(days)}" y="${height - bottom + 11}" text-anchor="middle">${label}</text>`).join('')}
+                <line class="chart-threshold" x1="${left}" x2="${width - right}" y1="${y(requiredRadii)}" y2="${y(requiredRadii)}"></line>
+                <text class="chart-label threshold" x="${width - right - 2}" y="${y(requiredRadii) - 3}" text-anchor="end">needed</text>
+                <line class="chart-now" x1="${x(warningDays)}" x2="${x(warningDays)}" y1="${top}" y2="${height - bottom}"></line>
+                <path class="chart-curve" d="${path}"></path>
+                ${current}
+                <text class="chart-label" x="${left + (width - left - right) / 2}" y="${height - 4}" text-anchor="middle">Lead time</text>
+                <text class="chart-label" x="9" y="${top + (height - top - bottom) / 2}" text-anchor="middle" transform="rotate(-90 9 ${top + (height - top - bottom) / 2})">Miss (Earth radii)</text>
+            </svg>
+        `;
+    }
+
+    // Function to calculate effectiveness of mitigation strategies (exposed to UI)
+    function calculateMitigation() {
+        // Compute using current inputs and return structured results
+        const computeResults = () => assessMitigation(document.getElementById('mitigation-strategy')?.value || 'kinetic');
+
+        const formatSpeed = (metersPerSecond) => {
+            if (metersPerSecond >= 1) return metersPerSecond.toFixed(2) + ' m/s';
+            if (metersPerSecond >= 1e-3) return (metersPerSecond * 1000).toFixed(2) + ' mm/s';
+            return (metersPerSecond * 1e6).toFixed(2) + ' µm/s';
         };
 
-        const formatEnergy = (joules) => {
-            if (!isFinite(joules)) return 'N/A';
-            if (joules >= 1e18) return (joules / 1e18).toFixed(2) + ' EJ';
-            if (joules >= 1e15) return (joules / 1e15).toFixed(2) + ' PJ';
-            if (joules >= 1e12) return (joules / 1e12).toFixed(2) + ' TJ';
-            return Math.round(joules).toLocaleString() + ' J';
+        const formatMiss = (meters) => `${formatDistance(meters)} (${(meters / EARTH_RADIUS).toFixed(2)} Earth radii)`;
+
+        const outcomeLabels = {
+            deflected: 'Deflected - clears Earth with the safety margin',
+            'near-miss': 'Near miss - clears Earth but not the safety margin',
+            impact: 'Impact - the asteroid still hits, displaced from the original point'
         };
 
         const out = document.getElementById('mitigation-results');
@@ -2486,18 +3488,23 @@
             const html = `
                 <div class="mitigation-output" style="line-height:1.4;">
                     <div style="margin-bottom:8px;"><strong>Method:</strong> ${methodDisplay} <button class="help-btn" data-key="method" aria-label="Help">?</button></div>
-                    <div style="margin-bottom:8px;"><strong>Estimated Energy Reduction:</strong> ${formatEnergy(results.energyReduction)} (${(results.energyReduction / (results.impactEnergy || 1)).toFixed(3)}× of impact energy) <button class="help-btn" data-key="energyReduction" aria-label="Help">?</button></div>
-                    <div style="margin-bottom:8px;"><strong>Success Probability:</strong> ${results.successProbability.toFixed(1)}% <button class="help-btn" data-key="successProbability" aria-label="Help">?</button></div>
-                    <div style="margin-bottom:8px;"><strong>Required Lead Time:</strong> ${results.requiredLeadTime >= 365 ? Math.round(results.requiredLeadTime/365) + ' years' : results.requiredLeadTime + ' days'} <button class="help-btn" data-key="requiredLeadTime" aria-label="Help">?</button></div>
+                    <div style="margin-bottom:8px;"><strong>Velocity Change:</strong> ${formatSpeed(results.deltaV)} <button class="help-btn" data-key="deltaV" aria-label="Help">?</button></div>
+                    <div style="margin-bottom:8px;"><strong>Miss Distance:</strong> ${formatMiss(results.missDistance)} after ${formatLeadTime(results.warningTime / 86400)} of warning <button class="help-btn" data-key="missDistance" aria-label="Help">?</button></div>
+                    <div style="margin-bottom:8px;"><strong>Needed:</strong> ${formatMiss(results.requiredMissDistance)} <button class="help-btn" data-key="requiredMissDistance" aria-label="Help">?</button></div>
+                    <div style="margin-bottom:8px;"><strong>Outcome:</strong> ${results.method === 'none' ? 'Impact - no defense deployed' : outcomeLabels[results.outcome]} <button class="help-btn" data-key="outcome" aria-label="Help">?</button></div>
+                    <div style="margin-bottom:8px;"><strong>Viable With:</strong> ${results.method === 'none' ? '-' : results.viableLeadDays ? formatLeadTime(results.viableLeadDays) + ' of warning or more' : 'not within ' + formatLeadTime(LEAD_TIME_MAX_DAYS)} <button class="help-btn" data-key="viableLeadDays" aria-label="Help">?</button></div>
+                    ${renderMissDistanceChart(results)}
                 </div>
             `;
             out.innerHTML = html;
 
             const helpTexts = {
                 method: 'Mitigation method selected. None = no defense deployed. Kinetic = impactor spacecraft. Gravity = gravity tractor. Nuclear = standoff nuclear device.',
-                energyReduction: 'Estimated reduction in impact energy (approx) achieved by the mitigation method. Shown in scientific units.',
-                successProbability: 'Estimated probability the mitigation will prevent an impact or sufficiently reduce energy. This is a simplified heuristic.',
-                requiredLeadTime: 'Estimated lead time required for the method to be effective. Longer lead time usually increases chance of success.'
+                deltaV: 'Velocity change given to the asteroid: impactor momentum times the ejecta enhancement β, the tractor\'s gravitational pull over the hover time, or the recoil from the surface layer a nuclear burst vaporizes.',
+                missDistance: 'How far the velocity change moves the asteroid at Earth by the predicted impact date, taking the original path as a dead-center hit. The push changes the orbital period, so the drift grows with the warning time.',
+                requiredMissDistance: 'One Earth radius plus the safety margin. The margin covers uncertainty in the orbit and Earth\'s gravity bending the path inward.',
+                viableLeadDays: 'Shortest warning time at which this method, as configured, clears Earth with the margin. The chart traces the miss distance (log scale, Earth radii) over lead times from a day to 50 years; the dashed line is the distance needed and the dot marks the chosen warning time.',
+                outcome: 'Deflected when the miss distance clears Earth with the margin. A smaller miss still clears Earth (near miss) or, below one Earth radius, hits a shifted impact point.'
             };
 
             const createTooltip = (btn, text) => {
@@ -2537,7 +3544,7 @@
         render(computeResults());
 
         // Live-updates: when sliders/inputs change after calculation, recompute and rerender
-        const liveSelectors = ['diameter','material','speed','angle','mitigation-strategy','impactor-mass','impactor-velocity','spacecraft-mass','hover-distance','duration','yield','standoff'];
+        const liveSelectors = ['diameter','material','speed','angle','mitigation-strategy','impactor-mass','impactor-velocity','beta','spacecraft-mass','hover-distance','duration','yield','standoff','warning-time','years-to-impact','safety-margin'];
 
         // Cleanup previous handlers if present
         if (window._mitigationLive && Array.isArray(window._mitigationLive.handlers)) {
@@ -2565,6 +3572,70 @@
     // Expose to global scope for inline onclick handlers
     window.calculateMitigation = calculateMitigation;
 
+    function currentYear() {
+        const now = new Date();
+        return now.getUTCFullYear() + now.getUTCMonth() / 12;
+    }
+
+    // Energy for the current slider values, without the location lookups calculateImpact needs
+    function getCurrentImpactEnergy() {
+        const diameter = parseFloat(document.getElementById('diameter')?.value) || 0;
+        const effects = calculateImpactEffects(diameter);
+        return effects ? effects.energy : 0;
+    }
+
+    // Impact probability and warning time used by the hazard scales
+    function getImpactOdds() {
+        const logP = parseFloat(document.getElementById('impact-probability')?.value);
+        const years = parseFloat(document.getElementById('years-to-impact')?.value);
+        return {
+            probability: isFinite(logP) ? Math.pow(10, logP) : 1,
+            years: isFinite(years) ? years : 10
+        };
+    }
+
+    // Push a probability and time-to-impact into the controls (e.g. from a Sentry virtual impactor)
+    function setImpactOdds(probability, years) {
+        const probEl = document.getElementById('impact-probability');
+        const yearsEl = document.getElementById('years-to-impact');
+        if (probEl && probability > 0) probEl.value = Math.log10(probability);
+        if (yearsEl && isFinite(years)) {
+            yearsEl.value = Math.max(0, years).toFixed(1);
+            // Also moves the warning-time slider and refreshes any live mitigation results
+            yearsEl.dispatchEvent(new Event('change'));
+        }
+        updateRiskScales();
+    }
+
+    // Recompute Palermo and Torino values and show them in the impact-info panel
+    function updateRiskScales(energy) {
+        if (typeof energy !== 'number' || !isFinite(energy)) energy = getCurrentImpactEnergy();
+        const { probability, years } = getImpactOdds();
+
+        const probLabel = document.getElementById('probability-value');
+        if (probLabel) {
+            probLabel.textContent = probability >= 0.99 ? 'certain'
+                : `${probability.toExponential(1)} (1 in ${Number((1 / probability).toPrecision(2)).toLocaleString()})`;
+        }
+
+        const palermo = calculatePalermoScale(probability, energy, years);
+        const torino = calculateTorinoScale(probability, energy, years);
+
+        const palermoEl = document.getElementById('palermo-value');
+        if (palermoEl) palermoEl.textContent = isFinite(palermo) ? palermo.toFixed(2) : '-';
+
+        const torinoEl = document.getElementById('torino-value');
+        if (torinoEl) {
+            torinoEl.textContent = `${torino.level} (${torino.band})`;
+            torinoEl.style.color = torino.color;
+        }
+        const explanation = document.getElementById('torino-explanation');
+        if (explanation) {
+            explanation.textContent = `${torino.title}: ${torino.description}`;
+            explanation.style.borderColor = torino.color;
+        }
+    }
+
     // Update impact information display
     function updateImpactInfo(impact) {
         const setText = (id, text) => {
@@ -2573,12 +3644,89 @@
         };
 
         setText('energy-value', impact.energy >= 1e18 ? (impact.energy / 1e18).toFixed(2) + ' EJ' : (impact.energy >= 1e15 ? (impact.energy / 1e15).toFixed(2) + ' PJ' : (impact.energy / 1e12).toFixed(2) + ' TJ'));
-        setText('crater-value', impact.craterDiameter >= 1000 ? (impact.craterDiameter / 1000).toFixed(1) + ' km' : impact.craterDiameter.toFixed(0) + ' m');
+        setText('crater-value', impact.outcome === 'airburst' ? 'None (airburst)'
+            : impact.craterDiameter >= 1000 ? (impact.craterDiameter / 1000).toFixed(1) + ' km' : impact.craterDiameter.toFixed(0) + ' m');
+        const crater = impact.crater;
+        const hasCrater = crater && crater.type !== 'none';
+        setText('crater-type-value', hasCrater
+            ? `${crater.type === 'complex' ? 'Complex (central peak)' : 'Simple (bowl)'}, transition at ${formatDistance(crater.transitionDiameter)}`
+            : '-');
+        setText('crater-depth-value', hasCrater ? formatDistance(crater.finalDepth) : '-');
+        setText('rim-height-value', hasCrater ? formatDistance(crater.rimHeight) : '-');
+        setText('breccia-value', hasCrater
+            ? (crater.brecciaThickness > 0 ? formatDistance(crater.brecciaThickness) : 'none (complex crater)')
+            : '-');
+        const ejecta1m = hasCrater ? crater.ejectaContours.find(c => c.id === 'ejecta1m') : null;
+        setText('ejecta-value', ejecta1m ? `1 m deep out to ${formatDistance(ejecta1m.radius)}` : '-');
+        setText('tsunami-value', impact.tsunami && impact.tsunami.sourceAmplitude > 0
+            ? `${formatDistance(impact.tsunami.sourceAmplitude)} wave, ${formatDistance(impact.waterCavity.diameter)} cavity in ${formatDistance(impact.waterDepth)} of water`
+            : impact.waterDepth > 0 ? 'none (airburst)' : 'none (land impact)');
+        updateTsunamiTable(impact.coastalTsunami);
+        setText('shaking-value', impact.seismic
+            ? `M${impact.seismic.magnitude.toFixed(1)}, felt (MMI IV+) to ${formatDistance(impact.seismic.lightShaking * 1000)}`
+            : 'none (airburst)');
+        updateShakingTable(impact.cityShaking);
+        setText('burst-altitude-value', impact.outcome === 'airburst'
+            ? (impact.airburstAltitude / 1000).toFixed(1) + ' km'
+            : `none (${Math.round(impact.groundEnergyFraction * 100)}% of energy reaches the ground)`);
         setText('blast-value', impact.blastRadius >= 1000 ? (impact.blastRadius / 1000).toFixed(1) + ' km' : impact.blastRadius.toFixed(0) + ' m');
         setText('shockwave-value', (impact.shockwaveRadius / 1000).toFixed(1) + ' km');
+        updateRiskScales(impact.energy);
         setText('tnt-value', impact.tntEquivalent >= 1e9 ? (impact.tntEquivalent / 1e9).toFixed(2) + ' Gigatons' : impact.tntEquivalent >= 1e6 ? (impact.tntEquivalent / 1e6).toFixed(2) + ' Megatons' : (impact.tntEquivalent / 1e3).toFixed(2) + ' Kilotons');
     }
 
+    // Coastal cities table: arrival time and run-up, soonest first
+    function updateTsunamiTable(coastalTsunami) {
+        const details = document.getElementById('tsunami-coast');
+        const body = document.getElementById('tsunami-coast-body');
+        if (!details || !body) return;
+
+        const cities = tsunamiAffectedCities(coastalTsunami);
+        body.innerHTML = '';
+        if (!coastalTsunami || coastalTsunami.length === 0) {
+            details.style.display = 'none';
+            return;
+        }
+        cities.forEach(city => {
+            const tr = document.createElement('tr');
+            [city.name, formatTravelTime(city.arrivalTime), city.runUp.toFixed(1) + ' m'].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        const shielded = coastalTsunami.filter(c => c.shielded).length;
+        document.getElementById('tsunami-coast-summary').textContent = cities.length > 0
+            ? `Coastal run-up (${cities.length} cities, ${shielded} shielded by land)`
+            : `No bundled city sees ${TSUNAMI_MIN_RUN_UP} m of run-up`;
+        details.style.display = 'block';
+    }
+
+    // Cities inside the felt-shaking radius with their estimated Mercalli intensity
+    function updateShakingTable(cityShaking) {
+        const details = document.getElementById('shaking-cities');
+        const body = document.getElementById('shaking-cities-body');
+        if (!details || !body) return;
+
+        body.innerHTML = '';
+        if (!cityShaking || cityShaking.length === 0) {
+            details.style.display = 'none';
+            return;
+        }
+        cityShaking.forEach(city => {
+            const tr = document.createElement('tr');
+            [city.name, formatDistance(city.distance * 1000), city.intensity].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        document.getElementById('shaking-cities-summary').textContent = `Shaking at cities (${cityShaking.length})`;
+        details.style.display = 'block';
+    }
+
     // Show impact display
     function showImpactDisplay() {
         const show = id => {
@@ -0,0 +1,93 @@
+// CNEOS Sentry Impact Risk Integration
+
+// Sentry API endpoint (summary table, or ?des=<designation> for one object's virtual impactors).
+// JPL does not send CORS headers, so this stays null unless pointed at a proxy or a local stub server
+// that mirrors the API responses, e.g. 'http://localhost:8080/sentry.api'.
+const SENTRY_API = null;
+// Bundled snapshot in the same JSON format: summary.json plus one <designation>.json detail file per object
+const SENTRY_SNAPSHOT_DIR = 'data/sentry/';
+
+// Parse the Sentry summary table into records keyed by designation
+function parseSentrySummary(json) {
+    const records = {};
+    if (!json || !Array.isArray(json.data)) return records;
+
+    json.data.forEach(row => {
+        if (!row || !row.des) return;
+        records[row.des] = {
+            designation: row.des,
+            fullname: (row.fullname || row.des).trim(),
+            probability: parseFloat(row.ip) || 0,
+            palermoCumulative: parseFloat(row.ps_cum),
+            palermoMax: parseFloat(row.ps_max),
+            torinoMax: parseInt(row.ts_max, 10) || 0,
+            impactorCount: parseInt(row.n_imp, 10) || 0,
+            range: row.range || '',
+            diameter: parseFloat(row.diameter) * 1000 || null, // km -> m
+            vInfinity: parseFloat(row.v_inf) || null, // km/s
+            virtualImpactors: []
+        };
+    });
+    return records;
+}
+
+// Parse a Sentry detail response (one object) into a summary record plus its virtual impactors
+function parseSentryDetail(json) {
+    if (!json || !json.summary || !json.summary.des) return null;
+
+    const record = parseSentrySummary({ data: [json.summary] })[json.summary.des];
+    record.impactVelocity = parseFloat(json.summary.v_imp) || null; // km/s
+    record.mass = parseFloat(json.summary.mass) || null; // kg
+    record.virtualImpactors = (Array.isArray(json.data) ? json.data : []).map(vi => ({
+        date: vi.date,                          // e.g. '2182-09-24.64' (fractional day, TDB)
+        probability: parseFloat(vi.ip) || 0,
+        energy: parseFloat(vi.energy) || 0,     // Mt TNT
+        palermo: parseFloat(vi.ps),
+        torino: parseInt(vi.ts, 10) || 0,
+        distance: isFinite(parseFloat(vi.dist)) ? parseFloat(vi.dist) : null  // target-plane distance from Earth's center, Earth radii
+    })).sort((a, b) => a.date.localeCompare(b.date));
+    return record;
+}
+
+// Fetch the summary table from the configured endpoint, falling back to the bundled snapshot
+async function getSentrySummary() {
+    if (SENTRY_API) {
+        try {
+            return parseSentrySummary(await tryFetch(SENTRY_API));
+        } catch (err) {}
+    }
+
+    try {
+        return parseSentrySummary(await tryFetch(`${SENTRY_SNAPSHOT_DIR}summary.json`));
+    } catch (err) {
+        console.error('Sentry summary unavailable from API and snapshot:', err && err.message);
+        return {};
+    }
+}
+
+// Fetch one object's virtual-impactor table by designation (e.g. '101955' or '2000 SG344')
+async function getSentryDetail(designation) {
+    if (SENTRY_API) {
+        try {
+            return parseSentryDetail(await tryFetch(`${SENTRY_API}?des=${encodeURIComponent(designation)}`));
+        } catch (err) {}
+    }
+
+    try {
+        const file = designation.replace(/\s+/g, '_') + '.json';
+        return parseSentryDetail(await tryFetch(SENTRY_SNAPSHOT_DIR + file));
+    } catch (err) {
+        console.warn(`No Sentry detail for ${designation}`);
+        return null;
+    }
+}
+
+// Parse a user-supplied Sentry JSON file in either the summary or the detail format
+// Returns null when the file is in neither format
+function parseSentryFile(json) {
+    if (json && json.summary) {
+        const record = parseSentryDetail(json);
+        return record ? { [record.designation]: record } : null;
+    }
+    return json && Array.isArray(json.data) ? parseSentrySummary(json) : null;
+}
@@ -0,0 +1,85 @@
+// Impact Target Material Classification
+
+// Target classes with the bulk properties used by the crater scaling in impact-physics.js.
+// Strength is the effective target strength Y of strength-gravity pi-scaling (Holsapple 1993).
+// For water targets the density and strength are the seafloor's; typicalDepth (m) stands in
+// for the water depth when no bathymetry is available.
+const TARGET_MATERIALS = {
+    ocean: { id: 'ocean', label: 'Deep ocean', density: 2700, strength: 1e7, water: true, typicalDepth: 3700 },  // basaltic crust
+    shelf: { id: 'shelf', label: 'Continental shelf', density: 2000, strength: 5e5, water: true, typicalDepth: 100 },  // water-saturated sediment
+    sedimentary: { id: 'sedimentary', label: 'Sedimentary rock', density: 2500, strength: 7.6e6 },
+    crystalline: { id: 'crystalline', label: 'Crystalline rock', density: 2750, strength: 1.8e7 },
+    ice: { id: 'ice', label: 'Ice sheet', density: 917, strength: 1e6 }
+};
+
+// One character per raster cell (see data/target-material.json)
+const RASTER_CODES = {
+    o: 'ocean',
+    s: 'shelf',
+    d: 'sedimentary',
+    c: 'crystalline',
+    i: 'ice'
+};
+
+const SHELF_BREAK_DEPTH = 200;  // Water deeper than this (m) is off the continental shelf
+const COAST_SEARCH_CELLS = 2;  // How many raster cells out to look for land around a dry point in a water cell
+
+/**
+ * Classify the target at an impact point from the bundled coarse raster, refined by the
+ * elevation lookup where one is available: the raster cells are a few hundred km across,
+ * so a measured depth or height decides water vs land near coastlines.
+ * @param {Object} raster - Parsed data/target-material.json ({ resolution, north, west, rows })
+ * @param {number} lat - Latitude (deg)
+ * @param {number} lon - Longitude (deg)
+ * @param {number} elevation - Surface elevation (m); 0 is treated as unknown
+ * @returns {Object} Entry of TARGET_MATERIALS
+ */
+function classifyTarget(raster, lat, lon, elevation = 0) {
+    const rasterTarget = TARGET_MATERIALS[RASTER_CODES[rasterCode(raster, lat, lon)]] || TARGET_MATERIALS.sedimentary;
+
+    // Elevation providers return exactly 0 both at sea level and on failure, so only trust a nonzero value
+    if (!elevation || !isFinite(elevation)) return rasterTarget;
+    if (elevation < -SHELF_BREAK_DEPTH) return TARGET_MATERIALS.ocean;
+    if (elevation < 0) return TARGET_MATERIALS.shelf;
+    // Dry land in a cell the raster calls water: take the nearest land cell's class, or coastal-plain
+    // sediment when there is none close by
+    if (rasterTarget.water) return TARGET_MATERIALS[RASTER_CODES[nearestLandCode(raster, lat, lon)]] || TARGET_MATERIALS.sedimentary;
+    return rasterTarget;
+}
+
+// Helper functions
+
+function rasterCode(raster, lat, lon) {
+    if (!raster || !Array.isArray(raster.rows) || !(raster.resolution > 0)) return null;
+
+    const row = Math.floor((raster.north - lat) / raster.resolution);
+    const clampedRow = Math.max(0, Math.min(raster.rows.length - 1, row));
+    const cells = raster.rows[clampedRow];
+    const wrapped = ((lon - raster.west) % 360 + 360) % 360;
+    const col = Math.min(cells.length - 1, Math.floor(wrapped / raster.resolution));
+    return cells[col];
+}
+
+// Code of the land cell nearest to a point, searching outwards up to COAST_SEARCH_CELLS cells
+function nearestLandCode(raster, lat, lon) {
+    let best = null, bestDistance = Infinity;
+    for (let dRow = -COAST_SEARCH_CELLS; dRow <= COAST_SEARCH_CELLS; dRow++) {
+        for (let dCol = -COAST_SEARCH_CELLS; dCol <= COAST_SEARCH_CELLS; dCol++) {
+            const cellLat = lat + dRow * raster.resolution;
+            if (Math.abs(cellLat) > 90) continue;
+            const code = rasterCode(raster, cellLat, lon + dCol * raster.resolution);
+            const target = TARGET_MATERIALS[RASTER_CODES[code]];
+            if (!target || target.water) continue;
+            // Cell steps scaled to distance: columns shrink with the cosine of latitude
+            const distance = Math.hypot(dRow, dCol * Math.cos(cellLat * Math.PI / 180));
+            if (distance < bestDistance) { bestDistance = distance; best = code; }
+        }
+    }
+    return best;
+}
+
+// Export functions
+export {
+    classifyTarget,
+    TARGET_MATERIALS
+};
@@ -0,0 +1,24 @@
+// Airburst blast check: node tools/check-airburst.mjs
+// Runs the entry and blast model for Chelyabinsk- and Tunguska-class bodies and checks that the
+// reflected shock reaches the ground.
+import assert from 'node:assert/strict';
+import { calculateImpactScenario, calculateAtmosphericEffects } from '../impact-physics.js';
+
+// Chelyabinsk, 2013: ~20 m stony body at 19 km/s, 18° above the horizontal. The shock reached the
+// ground at a few kPa, enough to break windows but below 1 psi (6.9 kPa).
+const chelyabinsk = calculateImpactScenario({ diameter: 20, density: 3300, velocity: 19, angle: 18 });
+assert.equal(chelyabinsk.outcome, 'airburst');
+const groundZero = calculateAtmosphericEffects(chelyabinsk.airburstEnergy, chelyabinsk.airburstAltitude).overpressure(0);
+console.log(`Chelyabinsk: burst at ${(chelyabinsk.airburstAltitude / 1000).toFixed(1)} km, ` +
+    `${(chelyabinsk.tntEquivalent / 1000).toFixed(0)} kt, ${groundZero.toFixed(1)} kPa at ground zero`);
+assert.ok(groundZero > 1, 'Chelyabinsk blast should reach the ground above 1 kPa');
+
+// Tunguska, 1908: ~60 m body that flattened forest tens of kilometres out
+const tunguska = calculateImpactScenario({ diameter: 60, density: 1500, velocity: 15, angle: 45 });
+assert.equal(tunguska.outcome, 'airburst');
+const psi1 = tunguska.airburstDamage.find(d => d.id === 'psi1').radius;
+console.log(`Tunguska: burst at ${(tunguska.airburstAltitude / 1000).toFixed(1)} km, ` +
+    `1 psi out to ${(psi1 / 1000).toFixed(0)} km`);
+assert.ok(psi1 > 0, 'Tunguska should reach 1 psi on the ground');
+
+console.log('ok');
@@ -0,0 +1,38 @@
+// Country boundary check: node tools/check-border-cities.mjs
+// Looks up cities a few km either side of a land border in data/countries.geojson, to catch
+// outlines that put them in the neighbour.
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createCountryIndex, countryAt } from '../countries.js';
+
+const BORDER_CITIES = [
+    { name: 'Detroit', lat: 42.331, lon: -83.046, iso: 'USA' },
+    { name: 'Windsor', lat: 42.302, lon: -83.031, iso: 'CAN' },
+    { name: 'Buffalo', lat: 42.886, lon: -78.878, iso: 'USA' },
+    { name: 'Fort Erie', lat: 42.905, lon: -78.925, iso: 'CAN' },
+    { name: 'El Paso', lat: 31.759, lon: -106.487, iso: 'USA' },
+    { name: 'Ciudad Juárez', lat: 31.690, lon: -106.424, iso: 'MEX' },
+    { name: 'San Diego', lat: 32.716, lon: -117.161, iso: 'USA' },
+    { name: 'Tijuana', lat: 32.514, lon: -117.038, iso: 'MEX' },
+    { name: 'Laredo', lat: 27.506, lon: -99.507, iso: 'USA' },
+    { name: 'Nuevo Laredo', lat: 27.476, lon: -99.516, iso: 'MEX' },
+    { name: 'Strasbourg', lat: 48.573, lon: 7.752, iso: 'FRA' },
+    { name: 'Kehl', lat: 48.573, lon: 7.816, iso: 'DEU' },
+    { name: 'Basel', lat: 47.560, lon: 7.589, iso: 'CHE' },
+    { name: 'Geneva', lat: 46.204, lon: 6.143, iso: 'CHE' },
+    { name: 'Kinshasa', lat: -4.322, lon: 15.307, iso: 'COD' },
+    { name: 'Brazzaville', lat: -4.263, lon: 15.242, iso: 'COG' },
+    { name: 'Foz do Iguaçu', lat: -25.547, lon: -54.588, iso: 'BRA' },
+    { name: 'Ciudad del Este', lat: -25.516, lon: -54.616, iso: 'PRY' },
+    { name: 'Singapore', lat: 1.290, lon: 103.852, iso: 'SGP' },
+    { name: 'Johor Bahru', lat: 1.492, lon: 103.741, iso: 'MYS' }
+];
+
+const index = createCountryIndex(JSON.parse(readFileSync(new URL('../data/countries.geojson', import.meta.url), 'utf8')));
+const misplaced = BORDER_CITIES
+    .map(city => ({ name: city.name, expected: city.iso, found: (countryAt(index, city.lat, city.lon) || {}).iso || null }))
+    .filter(result => result.found !== result.expected);
+
+misplaced.forEach(city => console.log(`${city.name}: ${city.found || 'water'}, expected ${city.expected}`));
+assert.equal(misplaced.length, 0, `${misplaced.length} of ${BORDER_CITIES.length} border cities misplaced`);
+console.log(`ok: ${BORDER_CITIES.length} border cities`);
@@ -0,0 +1,87 @@
+// Tsunami Propagation to Coastal Cities
+import { calculateTsunamiEffects } from './impact-physics.js';
+import { classifyTarget, TARGET_MATERIALS } from './target-material.js';
+import { haversineKm, EARTH_RADIUS_KM } from './geodesy.js';
+
+// Constants
+const EARTH_GRAVITY = 9.81;  // m/s²
+const PATH_STEP_KM = 25;  // Spacing of the samples taken along each great-circle path
+const COAST_MARGIN_KM = 300;  // Raster cells near either end are coarse coastline, not a barrier
+const RUN_UP_DEPTH = 10;  // Water depth (m) near the shore that Green's law shoals the wave to
+
+/**
+ * Estimate the tsunami reaching each coastal city
+ * The wave travels along the great circle at the shallow-water speed of each raster cell it
+ * crosses (typical ocean or shelf depth); a path that crosses land leaves the city shielded.
+ * Offshore height decays as in calculateTsunamiEffects and is shoaled to the shore by Green's law,
+ * A_shore = A * (h / RUN_UP_DEPTH)^(1/4), as a rough run-up estimate.
+ * @param {Object} source - { lat, lon (deg), cavityDiameter (m), waterDepth (m) }
+ * @param {Array} cities - [{ name, country, lat, lon }] (data/coastal-cities.json)
+ * @param {Object} raster - Parsed target raster (data/target-material.json), or null
+ * @returns {Array} One entry per city, by arrival time: { name, country, lat, lon, distance (km),
+ *                  arrivalTime (s), height (offshore m), runUp (m), shielded }
+ */
+function calculateCoastalTsunami(source, cities, raster) {
+    const { lat, lon, cavityDiameter, waterDepth } = source;
+    if (!(cavityDiameter > 0) || !(waterDepth > 0) || !Array.isArray(cities)) return [];
+
+    const shoaling = Math.pow(waterDepth / RUN_UP_DEPTH, 0.25);
+    return cities.map(city => {
+        const distance = haversineKm(lat, lon, city.lat, city.lon);
+        const path = tracePath(source, city, distance, raster);
+        const height = calculateTsunamiEffects(cavityDiameter, waterDepth, distance * 1000).height;
+        return {
+            ...city,
+            distance,
+            arrivalTime: path.travelTime,
+            height,
+            runUp: path.shielded ? 0 : height * shoaling,
+            shielded: path.shielded
+        };
+    }).sort((a, b) => a.arrivalTime - b.arrivalTime);
+}
+
+// Helper functions
+
+// Walk the great circle in PATH_STEP_KM steps, summing travel time and looking for land
+function tracePath(source, city, distance, raster) {
+    const steps = Math.max(1, Math.ceil(distance / PATH_STEP_KM));
+    const stepKm = distance / steps;
+    let travelTime = 0;
+    let shielded = false;
+
+    for (let k = 0; k < steps; k++) {
+        const along = (k + 0.5) * stepKm;
+        const point = interpolateGreatCircle(source, city, along / distance);
+        const target = raster ? classifyTarget(raster, point.lat, point.lon) : TARGET_MATERIALS.ocean;
+        const inCoastMargin = along < COAST_MARGIN_KM || distance - along < COAST_MARGIN_KM;
+
+        if (!target.water && !inCoastMargin) shielded = true;
+        // Land cells near either end stand for the coastal water the raster is too coarse to show
+        const depth = target.water ? target.typicalDepth : TARGET_MATERIALS.shelf.typicalDepth;
+        travelTime += stepKm * 1000 / Math.sqrt(EARTH_GRAVITY * depth);
+    }
+    return { travelTime, shielded };
+}
+
+function interpolateGreatCircle(from, to, fraction) {
+    const toRad = Math.PI / 180;
+    const [lat1, lon1, lat2, lon2] = [from.lat * toRad, from.lon * toRad, to.lat * toRad, to.lon * toRad];
+    const delta = haversineKm(from.lat, from.lon, to.lat, to.lon) / EARTH_RADIUS_KM;
+    if (delta < 1e-9) return { lat: from.lat, lon: from.lon };
+
+    const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+    const b = Math.sin(fraction * delta) / Math.sin(delta);
+    const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+    const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+    return {
+        lat: Math.atan2(z, Math.sqrt(x * x + y * y)) / toRad,
+        lon: Math.atan2(y, x) / toRad
+    };
+}
+
+// Export functions
+export {
+    calculateCoastalTsunami
+};
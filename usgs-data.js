@@ -4,7 +4,15 @@
 const USGS_ELEVATION_API = 'https://nationalmap.gov/epqs/pqs.php';
 // Public, CORS-friendly alternative: Open-Elevation (limited rate)
 const OPEN_ELEVATION_API = 'https://api.open-elevation.com/api/v1/lookup';
-const USGS_SEISMIC_FEED = 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_day.geojson';
+// USGS real-time earthquake summary feeds by time window
+const USGS_SEISMIC_FEEDS = {
+    hour: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_hour.geojson',
+    day: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_day.geojson',
+    week: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_week.geojson',
+    month: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/all_month.geojson'
+};
+// GEBCO global bathymetry via OpenTopoData (land elevation APIs report 0 over the sea)
+const GEBCO_BATHYMETRY_API = 'https://api.opentopodata.org/v1/gebco2020';
 
 // Optional CORS proxy (leave null to disable). You can run a simple local CORS proxy
 // (for example: https://github.com/Rob--W/cors-anywhere/) and set its URL here.
@@ -23,66 +31,295 @@ async function tryFetch(url, options = {}) {
     }
 }
 
-// Fetch elevation data for impact point with fallbacks to avoid CORS blocking in the browser
-async function getElevation(lat, lon) {
-    const usgsUrl = `${USGS_ELEVATION_API}?x=${lon}&y=${lat}&units=Meters&output=json`;
-    try {
-        const urlToUse = OPTIONAL_CORS_PROXY ? OPTIONAL_CORS_PROXY + usgsUrl : usgsUrl;
-        const data = await tryFetch(urlToUse);
-        
-        if (data && data.USGS_Elevation_Point_Query_Service && data.USGS_Elevation_Point_Query_Service.Elevation_Query) {
-            return data.USGS_Elevation_Point_Query_Service.Elevation_Query.Elevation || 0;
-        }
-    } catch (err) {}
+// Data provider registry. Each kind ('elevation', 'bathymetry', 'seismic') holds an ordered list of
+// { id, label, offline, fetch(...args) }: live endpoints first, the bundled offline datasets last.
+// A provider that throws or resolves to null hands over to the next one.
+const DATA_PROVIDERS = { elevation: [], bathymetry: [], seismic: [] };
 
-    try {
-        const openUrl = `${OPEN_ELEVATION_API}?locations=${lat},${lon}`;
-        const data = await tryFetch(openUrl);
-        if (data && data.results && data.results.length > 0 && typeof data.results[0].elevation === 'number') {
-            return data.results[0].elevation;
-        }
-    } catch (err) {}
+// Skip live providers entirely (deterministic runs without network); also enabled by ?offline in the page URL
+let offlineDataOnly = typeof location !== 'undefined' && new URLSearchParams(location.search).has('offline');
+
+function setOfflineDataOnly(enabled) {
+    offlineDataOnly = !!enabled;
+}
+
+// Add a provider for a data kind; by default it is tried before the bundled offline fallback
+function registerDataProvider(kind, provider, { position } = {}) {
+    const list = DATA_PROVIDERS[kind] || (DATA_PROVIDERS[kind] = []);
+    const index = typeof position === 'number' ? position : list.findIndex(p => p.offline);
+    list.splice(index < 0 ? list.length : index, 0, provider);
+}
+
+// Try each provider of a kind in turn. Resolves to { value, source } where source is
+// { id, label, offline } of the provider that answered, or { value: null, source: null } if none did.
+// Live answers are cached per kind and arguments, and concurrent identical queries share one request.
+function queryDataProviders(kind, ...args) {
+    const key = `${kind}:${args.join(',')}`;
+    if (inFlightQueries.has(key)) return inFlightQueries.get(key);
+
+    const query = (async () => {
+        // Offline-only runs must not see live answers cached earlier
+        const cached = offlineDataOnly ? null : await readCachedResponse(key);
+        if (cached) return cached;
+
+        const result = await queryProvidersInOrder(kind, args);
+        // Offline answers are not stored, so the live services are retried on the next lookup
+        if (result.source && !result.source.offline) writeCachedResponse(key, result, cacheTtl(kind, args));
+        return result;
+    })().finally(() => inFlightQueries.delete(key));
 
-    // 3) If configured, try the optional proxy with Open-Elevation through the proxy
-    if (OPTIONAL_CORS_PROXY) {
+    inFlightQueries.set(key, query);
+    return query;
+}
+
+async function queryProvidersInOrder(kind, args) {
+    for (const provider of DATA_PROVIDERS[kind] || []) {
+        if (offlineDataOnly && !provider.offline) continue;
         try {
-            const proxiedOpen = OPTIONAL_CORS_PROXY + `${OPEN_ELEVATION_API}?locations=${lat},${lon}`;
-            const data = await tryFetch(proxiedOpen);
-            if (data && data.results && data.results.length > 0) return data.results[0].elevation || 0;
+            const value = await provider.fetch(...args);
+            if (value !== null && value !== undefined) {
+                return { value, source: { id: provider.id, label: provider.label, offline: !!provider.offline } };
+            }
         } catch (err) {}
     }
+    return { value: null, source: null };
+}
+
+// Response cache: an in-memory layer over IndexedDB, so lookups survive page reloads.
+// Keys are the data kind plus the query arguments: coordinates rounded to CACHE_COORD_DECIMALS,
+// or the feed window (one USGS feed URL each).
+const CACHE_DB_NAME = 'impact-simulator-cache';
+const CACHE_STORE_NAME = 'responses';
+const CACHE_COORD_DECIMALS = 3;  // ~100 m, finer than any of the elevation sources
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTL_MS = {
+    elevation: 30 * 24 * HOUR_MS,
+    bathymetry: 30 * 24 * HOUR_MS,
+    // USGS regenerates the hour/day/week feeds every minute and the month feed every 15 minutes;
+    // the longer windows are large downloads that change little between refreshes
+    seismic: { hour: 60 * 1000, day: 5 * 60 * 1000, week: 15 * 60 * 1000, month: HOUR_MS }
+};
 
-    // 4) Final fallback: return sea level (0) and log the issue once
-    console.error('All elevation providers failed or were blocked by CORS. Returning elevation=0.');
-    return 0;
+const memoryCache = new Map();
+const inFlightQueries = new Map();
+let cacheDbPromise = null;
+
+function roundCoordinate(value) {
+    const factor = Math.pow(10, CACHE_COORD_DECIMALS);
+    return Math.round(value * factor) / factor;
 }
 
-// Check if impact point is in a tsunami risk zone
-// Using simplified coastal elevation check
-async function checkTsunamiRisk(lat, lon) {
-    const elevation = await getElevation(lat, lon);
-    const COASTAL_THRESHOLD = 100; // meters
-    
-    // If elevation is low and near coast, consider it at risk
-    return elevation < COASTAL_THRESHOLD;
+function cacheTtl(kind, args) {
+    const ttl = CACHE_TTL_MS[kind];
+    if (typeof ttl === 'number') return ttl;
+    return ttl && ttl[args[0]] !== undefined ? ttl[args[0]] : 0;
 }
 
-// Get recent seismic activity near impact point
-async function getSeismicActivity(lat, lon, radius = 100) {
-    try {
-        const response = await fetch(USGS_SEISMIC_FEED);
-        const data = await response.json();
-        
-        // Filter earthquakes within radius km of impact point
-        return data.features.filter(quake => {
-            const [qLon, qLat] = quake.geometry.coordinates;
-            const distance = calculateDistance(lat, lon, qLat, qLon);
-            return distance <= radius;
+// Resolves to the database, or null where IndexedDB is unavailable (private windows, file://, Node)
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            try {
+                const request = indexedDB.open(CACHE_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Response cache unavailable:', request.error && request.error.message);
+                    resolve(null);
+                };
+            } catch (err) {
+                resolve(null);
+            }
         });
-    } catch (error) {
-        console.error('Error fetching seismic data:', error);
-        return [];
     }
+    return cacheDbPromise;
+}
+
+// Run one request against the cache store; resolves to its result, or null on any failure
+async function cacheStoreRequest(mode, makeRequest) {
+    const db = await openCacheDb();
+    if (!db) return null;
+    return new Promise(resolve => {
+        try {
+            const request = makeRequest(db.transaction(CACHE_STORE_NAME, mode).objectStore(CACHE_STORE_NAME));
+            request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+            request.onerror = () => resolve(null);
+        } catch (err) {
+            resolve(null);
+        }
+    });
+}
+
+async function readCachedResponse(key) {
+    let entry = memoryCache.get(key);
+    if (!entry) {
+        entry = await cacheStoreRequest('readonly', store => store.get(key));
+        if (entry) memoryCache.set(key, entry);
+    }
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+        memoryCache.delete(key);
+        cacheStoreRequest('readwrite', store => store.delete(key));
+        return null;
+    }
+    return entry.result;
+}
+
+function writeCachedResponse(key, result, ttl) {
+    if (!(ttl > 0)) return;
+    const entry = { key, expires: Date.now() + ttl, result };
+    memoryCache.set(key, entry);
+    cacheStoreRequest('readwrite', store => store.put(entry));
+}
+
+// Bundled offline datasets, loaded once on first use
+const OFFLINE_ELEVATION_GRID_URL = 'data/elevation-grid.json';
+// The bundled grid is not a DEM: each cell holds a typical height or depth for its target class
+const OFFLINE_ELEVATION_LABEL = 'rough per-class estimate, not a DEM';
+const OFFLINE_SEISMIC_SNAPSHOT_URL = 'data/seismic-snapshot.json';
+let offlineElevationGridPromise = null;
+let offlineSeismicSnapshotPromise = null;
+
+function loadOfflineElevationGrid() {
+    if (!offlineElevationGridPromise) {
+        offlineElevationGridPromise = tryFetch(OFFLINE_ELEVATION_GRID_URL).catch(err => {
+            offlineElevationGridPromise = null;
+            throw err;
+        });
+    }
+    return offlineElevationGridPromise;
+}
+
+function loadOfflineSeismicSnapshot() {
+    if (!offlineSeismicSnapshotPromise) {
+        offlineSeismicSnapshotPromise = tryFetch(OFFLINE_SEISMIC_SNAPSHOT_URL).catch(err => {
+            offlineSeismicSnapshotPromise = null;
+            throw err;
+        });
+    }
+    return offlineSeismicSnapshotPromise;
+}
+
+// Height (m, negative below sea level) of the offline grid cell containing a point
+async function sampleOfflineElevationGrid(lat, lon) {
+    const grid = await loadOfflineElevationGrid();
+    const row = Math.max(0, Math.min(grid.rows.length - 1, Math.floor((grid.north - lat) / grid.resolution)));
+    const cells = grid.rows[row];
+    const wrapped = ((lon - grid.west) % 360 + 360) % 360;
+    return cells[Math.min(cells.length - 1, Math.floor(wrapped / grid.resolution))];
+}
+
+function withProxy(url) {
+    return OPTIONAL_CORS_PROXY ? OPTIONAL_CORS_PROXY + url : url;
+}
+
+// Elevation: USGS EPQS, Open-Elevation (direct, then via the optional proxy), offline grid
+registerDataProvider('elevation', {
+    id: 'usgs-epqs',
+    label: 'USGS EPQS',
+    fetch: async (lat, lon) => {
+        const data = await tryFetch(withProxy(`${USGS_ELEVATION_API}?x=${lon}&y=${lat}&units=Meters&output=json`));
+        const query = data && data.USGS_Elevation_Point_Query_Service && data.USGS_Elevation_Point_Query_Service.Elevation_Query;
+        return query ? (query.Elevation || 0) : null;
+    }
+});
+registerDataProvider('elevation', {
+    id: 'open-elevation',
+    label: 'Open-Elevation',
+    fetch: async (lat, lon) => {
+        const data = await tryFetch(`${OPEN_ELEVATION_API}?locations=${lat},${lon}`);
+        return data && data.results && data.results.length > 0 && typeof data.results[0].elevation === 'number'
+            ? data.results[0].elevation : null;
+    }
+});
+registerDataProvider('elevation', {
+    id: 'open-elevation-proxy',
+    label: 'Open-Elevation (proxy)',
+    fetch: async (lat, lon) => {
+        if (!OPTIONAL_CORS_PROXY) return null;
+        const data = await tryFetch(OPTIONAL_CORS_PROXY + `${OPEN_ELEVATION_API}?locations=${lat},${lon}`);
+        return data && data.results && data.results.length > 0 ? (data.results[0].elevation || 0) : null;
+    }
+});
+registerDataProvider('elevation', {
+    id: 'offline-grid',
+    label: OFFLINE_ELEVATION_LABEL,
+    offline: true,
+    // Land elevation services report 0 over the sea, so the grid does too; depths come from getBathymetry
+    fetch: async (lat, lon) => Math.max(0, await sampleOfflineElevationGrid(lat, lon))
+});
+
+// Bathymetry: GEBCO via OpenTopoData, offline grid
+registerDataProvider('bathymetry', {
+    id: 'gebco',
+    label: 'GEBCO 2020',
+    fetch: async (lat, lon) => {
+        const data = await tryFetch(withProxy(`${GEBCO_BATHYMETRY_API}?locations=${lat},${lon}`));
+        return data && data.results && data.results.length > 0 && typeof data.results[0].elevation === 'number'
+            ? data.results[0].elevation : null;
+    }
+});
+registerDataProvider('bathymetry', {
+    id: 'offline-grid',
+    label: OFFLINE_ELEVATION_LABEL,
+    offline: true,
+    fetch: sampleOfflineElevationGrid
+});
+
+// Seismic events: USGS summary feed for the window, offline snapshot of significant historical events
+registerDataProvider('seismic', {
+    id: 'usgs-feed',
+    label: 'USGS live feed',
+    fetch: async feedWindow => {
+        const data = await tryFetch(USGS_SEISMIC_FEEDS[feedWindow] || USGS_SEISMIC_FEEDS.day);
+        return data && Array.isArray(data.features) ? data.features : null;
+    }
+});
+registerDataProvider('seismic', {
+    id: 'offline-snapshot',
+    label: 'offline snapshot',
+    offline: true,
+    // The snapshot is not windowed: it always holds the same historical events
+    fetch: async () => (await loadOfflineSeismicSnapshot()).features
+});
+
+// Fetch elevation data for impact point, with fallbacks to avoid CORS blocking in the browser.
+// Resolves to { value (m), source }; value is 0 (sea level) when every provider fails.
+async function getElevation(lat, lon) {
+    const result = await queryDataProviders('elevation', roundCoordinate(lat), roundCoordinate(lon));
+    if (result.value === null) {
+        console.error('All elevation providers failed or were blocked by CORS. Returning elevation=0.');
+        return { value: 0, source: null };
+    }
+    return result;
+}
+
+// Fetch the seabed/land height at a point. Resolves to { value, source }: value is negative below
+// sea level and null when unavailable.
+async function getBathymetry(lat, lon) {
+    const result = await queryDataProviders('bathymetry', roundCoordinate(lat), roundCoordinate(lon));
+    if (result.value === null) console.warn('Bathymetry unavailable; using the typical depth for the target type.');
+    return result;
+}
+
+// Get recent seismic activity near impact point
+// radius in km; feedWindow is one of 'hour', 'day', 'week' or 'month'. Resolves to { value, source }
+// with the events newest first; value is empty when no provider answered.
+async function getSeismicActivity(lat, lon, radius = 100, feedWindow = 'day') {
+    const result = await queryDataProviders('seismic', feedWindow);
+    if (result.value === null) {
+        console.error('Error fetching seismic data: no feed or snapshot available');
+        return { value: [], source: null };
+    }
+
+    // Filter earthquakes within radius km of impact point
+    const nearby = result.value.filter(quake => {
+        const [qLon, qLat] = quake.geometry.coordinates;
+        const distance = calculateDistance(lat, lon, qLat, qLon);
+        return distance <= radius;
+    }).sort((a, b) => (b.properties.time || 0) - (a.properties.time || 0));
+    return { value: nearby, source: result.source };
 }
 
 // Helper function to calculate distance between two points